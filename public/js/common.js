@@ -1,6 +1,6 @@
 /**
  * public/js/common.js
- * Shared utility functions for Studio, Remote, and Sports pages.
+ * Shared utility functions for Studio, Remote, Sports, Recordings and Share pages.
  */
 
 // WebSocket wrapper to handle auto-reconnect
@@ -102,14 +102,185 @@ function createPPMMeter(audioContext, sourceNode, canvasElement) {
   return analyser;
 }
 
-// Helper: getRTCPeerConnection config (with STUN servers)
-function getRTCConfig() {
-  return {
-    iceServers: [
-      { urls: 'stun:stun.l.google.com:19302' },
-      // Add TURN servers here if required in production
-    ]
-  };
+/**
+ * Read the `invite` token from the page URL and decode its payload
+ * ({ name, room, role, exp }). The signature is only checked by the server;
+ * this is just so the page can show the invited name. Returns null if absent
+ * or unreadable.
+ */
+function getInviteFromURL() {
+  const token = new URLSearchParams(window.location.search).get('invite');
+  if (!token) return null;
+  try {
+    const body = token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+    const payload = JSON.parse(atob(body));
+    return { token, ...payload };
+  } catch (err) {
+    console.warn('Unreadable invite token in URL:', err);
+    return null;
+  }
+}
+
+// Helper: RTCPeerConnection config. ICE servers (and short-lived TURN credentials)
+// come from the server's /ice-config; the result is reused until half its TTL has passed.
+const FALLBACK_RTC_CONFIG = {
+  iceServers: [{ urls: 'stun:stun.l.google.com:19302' }]
+};
+let cachedRTCConfig = null;
+let cachedRTCConfigExpires = 0;
+
+async function getRTCConfig() {
+  if (cachedRTCConfig && Date.now() < cachedRTCConfigExpires) {
+    return cachedRTCConfig;
+  }
+  try {
+    const res = await fetch('/ice-config', { cache: 'no-store' });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { iceServers, ttl } = await res.json();
+    cachedRTCConfig = { iceServers };
+    cachedRTCConfigExpires = Date.now() + (ttl * 1000) / 2;
+    return cachedRTCConfig;
+  } catch (err) {
+    console.warn('Could not load /ice-config, falling back to STUN only:', err);
+    return FALLBACK_RTC_CONFIG;
+  }
+}
+
+// Helper: end a contributor's call – stop the GLITS tone if it is on, close the
+// RTCPeerConnection and release the mic capture. Returns the cleared call state for the
+// page to assign back:
+//   ({ pc, micStream, audioSender, isTone } = closePeerConnection({ pc, micStream, isTone, stopTone }));
+function closePeerConnection({ pc, micStream, isTone, stopTone }) {
+  if (isTone) stopTone();
+  if (pc) pc.close();
+  if (micStream) micStream.getTracks().forEach((t) => t.stop());
+  return { pc: null, micStream: null, audioSender: null, isTone: false };
+}
+
+// Resumable uploads: retry limits and the error thrown for a refused upload
+const UPLOAD_MAX_RETRIES = 30;
+const UPLOAD_MAX_BACKOFF_MS = 30000;
+
+class UploadError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Upload a Blob with the server's resumable protocol (/uploads): start, send
+ * numbered chunks, each with its SHA-256, and finish (the server re-checks the
+ * stored chunks against those, so the whole file is never read at once). Network
+ * errors and 5xx replies (except 507, storage full) are retried with back-off,
+ * resuming from the offset the server reports, so a dropped connection only costs
+ * the chunk in flight.
+ *
+ * options: { kind: 'recording'|'segment', filename, fields, headers, onProgress }
+ *   fields     – extra values for POST /uploads (e.g. title, cueNotes)
+ *   headers    – object, or function returning one (called per request, so
+ *                rotating tokens are picked up). A segment upload only needs the
+ *                reporter's headers to start; after that its own token (X-Upload-Token)
+ *                keeps it going if the reporter reconnects under a new ID.
+ *   onProgress – called with (bytesSent, totalBytes)
+ * Resolves with the JSON from /uploads/:id/complete.
+ */
+async function uploadResumable(blob, options) {
+  const { kind, filename, fields = {}, onProgress = () => {} } = options;
+  const headers = () => (typeof options.headers === 'function' ? options.headers() : options.headers || {});
+  let uploadToken = null; // a segment upload's own token, sent once it has started
+  let failures = 0;
+
+  // One request; retries network failures and 5xx, returns { status, json } otherwise
+  // (507 means the server's storage is full, which waiting won't fix)
+  async function request(url, init) {
+    for (;;) {
+      try {
+        const res = await fetch(url, {
+          ...init,
+          headers: { ...headers(), ...(uploadToken ? { 'X-Upload-Token': uploadToken } : {}), ...init.headers },
+        });
+        const json = await res.json().catch(() => ({}));
+        if (res.status < 500 || res.status === 507) return { status: res.status, json };
+        throw new UploadError(json.error || `HTTP ${res.status}`, res.status);
+      } catch (err) {
+        failures += 1;
+        if (failures > UPLOAD_MAX_RETRIES) throw err;
+        const delay = Math.min(1000 * 2 ** Math.min(failures - 1, 5), UPLOAD_MAX_BACKOFF_MS);
+        console.warn(`Upload of ${filename}: ${err.message}; retrying in ${delay / 1000}s`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  function fail({ status, json }) {
+    throw new UploadError(json.error || `HTTP ${status}`, status);
+  }
+
+  const start = await request('/uploads', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...fields, kind, filename, size: blob.size, mimeType: blob.type }),
+  });
+  if (start.status !== 200) fail(start);
+  const { id, chunkSize } = start.json;
+  uploadToken = start.json.token;
+  const uploadUrl = `/uploads/${encodeURIComponent(id)}`;
+  let offset = start.json.offset;
+
+  for (;;) {
+    while (offset < blob.size) {
+      const index = Math.floor(offset / chunkSize);
+      const chunk = blob.slice(index * chunkSize, (index + 1) * chunkSize);
+      const reply = await request(`${uploadUrl}/chunks/${index}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'X-Chunk-Sha256': await sha256Hex(chunk),
+        },
+        body: chunk,
+      });
+      if (reply.status === 200) {
+        offset = reply.json.offset;
+        failures = 0;
+      } else if (reply.status === 409 && failures < UPLOAD_MAX_RETRIES) {
+        // Out of step (or a retried chunk is still being written): carry on from the server's offset
+        failures += 1;
+        offset = reply.json.offset;
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+      } else if (reply.status === 422 && failures < UPLOAD_MAX_RETRIES) {
+        failures += 1; // damaged in transit; send it again
+      } else {
+        fail(reply);
+      }
+      onProgress(offset, blob.size);
+    }
+
+    const done = await request(`${uploadUrl}/complete`, { method: 'POST' });
+    if (done.status === 200) return done.json;
+    if ((done.status === 409 || done.status === 422) && failures < UPLOAD_MAX_RETRIES) {
+      // Incomplete, or a stored chunk failed its checksum: resume from the server's offset
+      failures += 1;
+      offset = done.json.offset;
+      continue;
+    }
+    fail(done);
+  }
+}
+
+// Codec and channel count of a MediaRecorder's output, for the recording's
+// metadata sidecar. Either is null when the browser doesn't say.
+function describeRecorder(recorder, stream) {
+  const codec = /codecs="?([^";,]+)/.exec(recorder.mimeType || '');
+  const track = stream.getAudioTracks()[0];
+  const settings = track ? track.getSettings() : {};
+  return { codec: codec ? codec[1] : null, channels: settings.channelCount || null };
+}
+
+// Hex SHA-256 of a Blob; only used on one upload chunk at a time
+async function sha256Hex(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
 }
 
 /**
@@ -136,4 +307,94 @@ function startStatGraph(canvasElement, drawFrame) {
   }
 
   loop();
-}
\ No newline at end of file
+}
+// Recording player (recordings and share pages): waveform, markers, ticker and times
+const MARKER_COLOURS = { marker: '#ffcc00', goal: '#ff6633' };
+
+// Draw min/max peaks, one band per channel, one vertical line per pixel
+// (just the background until the peaks have arrived)
+function drawPeaks(canvas, peaks) {
+  canvas.width = canvas.clientWidth;
+  const ctx = canvas.getContext('2d');
+  const { width, height } = canvas;
+  ctx.fillStyle = '#222';
+  ctx.fillRect(0, 0, width, height);
+  if (!peaks) return;
+  ctx.strokeStyle = '#0f0';
+  ctx.lineWidth = 1;
+
+  const bandHeight = height / peaks.channels;
+  peaks.data.forEach((channelPeaks, c) => {
+    const centre = bandHeight * c + bandHeight / 2;
+    const scale = bandHeight / 2 / 127;
+    ctx.beginPath();
+    for (let x = 0; x < width; x++) {
+      const first = Math.floor((x * peaks.buckets) / width);
+      const last = Math.max(first + 1, Math.floor(((x + 1) * peaks.buckets) / width));
+      let min = 0;
+      let max = 0;
+      for (let b = first; b < last && b < peaks.buckets; b++) {
+        min = Math.min(min, channelPeaks[b * 2]);
+        max = Math.max(max, channelPeaks[b * 2 + 1]);
+      }
+      ctx.moveTo(x + 0.5, centre - max * scale);
+      ctx.lineTo(x + 0.5, centre - min * scale + 1);
+    }
+    ctx.stroke();
+  });
+}
+
+// A labelled vertical line per marker, over the waveform
+function drawMarkers(canvas, markers, duration) {
+  if (!duration) return;
+  const ctx = canvas.getContext('2d');
+  ctx.font = '11px sans-serif';
+  ctx.textBaseline = 'top';
+  ctx.lineWidth = 1;
+  markers.forEach((marker) => {
+    const x = Math.round((Math.min(marker.time, duration) / duration) * canvas.width) + 0.5;
+    ctx.strokeStyle = MARKER_COLOURS[marker.kind] || MARKER_COLOURS.marker;
+    ctx.fillStyle = ctx.strokeStyle;
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, canvas.height);
+    ctx.stroke();
+    if (marker.label) ctx.fillText(marker.label, x + 3, 2, 120);
+  });
+}
+
+// Move the ticker (vertical line) smoothly while playing; getDuration() is
+// read each frame because the <audio> element learns its length late
+function setupTicker(canvas, ticker, audioEl, timeDisplay, getDuration) {
+  let rafId = null;
+  function update() {
+    updateTickerPosition(ticker, canvas, audioEl.currentTime, getDuration());
+    updateTimeDisplay(timeDisplay, audioEl.currentTime, getDuration());
+    rafId = requestAnimationFrame(update);
+  }
+  audioEl.addEventListener('play', () => {
+    if (!rafId) update();
+  });
+  ['pause', 'ended'].forEach((event) =>
+    audioEl.addEventListener(event, () => {
+      cancelAnimationFrame(rafId);
+      rafId = null;
+    })
+  );
+}
+
+function updateTickerPosition(ticker, canvas, currentTime, duration) {
+  const fraction = duration > 0 ? Math.min(currentTime / duration, 1) : 0;
+  ticker.style.left = `${fraction * canvas.clientWidth}px`;
+}
+
+function formatTime(t) {
+  const mm = String(Math.floor(t / 60)).padStart(2, '0');
+  const ss = String(Math.floor(t % 60)).padStart(2, '0');
+  return `${mm}:${ss}`;
+}
+
+function updateTimeDisplay(el, current, total) {
+  el.textContent = `${formatTime(current)} / ${formatTime(total)}`;
+}
+
@@ -1,58 +1,404 @@
 /**
  * recordings.js
  *
- * Fetches GET /recordings to retrieve a JSON array of filenames.
+ * Requires an operator login (GET /session, else → login.html) whose role has the
+ * `library` permission, as does everything under /recordings.
+ * Shows storage use (GET /recordings/usage) against the quota, with the retention rule,
+ * above the list.
+ * Fetches GET /recordings a page at a time to retrieve recordings’ metadata, filtered
+ * by the search bar (text, contributor, tag, date range, trash) and in the chosen order
+ * (newest, oldest, size, contributor). The next page loads as the end of the list
+ * scrolls into view.
  * For each recording:
  *  • Creates a `.recording-entry` with:
- *    - <div class="recording-title">filename</div>
+ *    - <div class="recording-title">selection checkbox (not in the trash) + title
+ *        (or contributor / original filename)</div>
+ *    - <div class="recording-meta">room · start time · duration · codec · channels · loudness · uploader</div>
+ *    - <div class="recording-tags">clickable tag chips</div>, <div class="recording-notes">
+ *    - <div class="recording-actions">Rename · Tags · Notes · Share · Delete (or Restore ·
+ *      Delete Forever in the trash)</div>
+ *      for operators whose role has the `library` permission (Share needs `share`)
+ *    - <div class="share-panel">the recording's active share links (Copy Link · Revoke)
+ *        and a form to create one</div>, toggled by Share
  *    - <div class="waveform-container">
  *        <canvas class="waveform-canvas"></canvas>
  *        <div class="ticker"></div>
+ *        <div class="selection"></div>
  *      </div>
  *    - <div class="controls">
  *        <audio controls preload="none"></audio>
  *        <button class="playPauseBtn">Play</button>
  *        <span class="timeDisplay">00:00 / 00:00</span>
+ *        <button>Add Marker</button> (with the `library` permission)
  *      </div>
- *  • Fetches the audio file as an ArrayBuffer, decodes via Web Audio API, draws full waveform on canvas.
- *  • Hooks up the <audio> element’s `timeupdate` to move the ticker across the canvas.
+ *    - <div class="export-controls">sample rate · loudness target · WAV · FLAC · MP3 download buttons</div>
+ *      with the `library` permission
+ *    - <div class="clip-controls">selected range · Play Selection · Save Clip (with the
+ *        `library` permission) · Clear</div>, shown while a range is selected
+ *    - <div class="marker-list">one row per marker: time + label (click to seek),
+ *        Rename · Move Here · ✕ with the `library` permission</div>
+ *  • The waveform canvas and player are only built when the entry scrolls into view;
+ *    then the server’s precomputed peaks (GET /recordings/:id/peaks) are fetched and
+ *    drawn – no audio is downloaded.
+ *  • Moves the ticker across the canvas while the <audio> element plays.
+ *  • Markers (cue points) are drawn over the waveform; clicking the waveform seeks
+ *    there, or to the marker under the pointer.
+ *  • Dragging across the waveform selects a range, which can be previewed and saved
+ *    as a clip (POST /recordings/:id/clips): a new recording, listed under its source.
+ *  • Download buttons ask the server to transcode (POST /recordings/:id/exports), wait
+ *    while it works, then download the result.
+ * Recordings ticked in the list (kept while the filters change) can be downloaded
+ * together: a form POST to /recordings/zip, so the browser saves the ZIP as it streams.
  */
 
 document.addEventListener('DOMContentLoaded', () => {
   const recordingsContainer = document.getElementById('recordingsContainer');
+  const searchInput = document.getElementById('searchInput');
+  const contributorFilter = document.getElementById('contributorFilter');
+  const tagFilter = document.getElementById('tagFilter');
+  const tagOptions = document.getElementById('tagOptions');
+  const fromFilter = document.getElementById('fromFilter');
+  const toFilter = document.getElementById('toFilter');
+  const trashFilter = document.getElementById('trashFilter');
+  const sortSelect = document.getElementById('sortSelect');
+  const clearFiltersBtn = document.getElementById('clearFiltersBtn');
+  const libraryStatus = document.getElementById('libraryStatus');
+  const storageSummary = document.getElementById('storageSummary');
+  const storageText = document.getElementById('storageText');
+  const storageBarFill = document.getElementById('storageBarFill');
+  const selectionBar = document.getElementById('selectionBar');
+  const selectionCount = document.getElementById('selectionCount');
+  const selectShownBtn = document.getElementById('selectShownBtn');
+  const selectNoneBtn = document.getElementById('selectNoneBtn');
+  const zipBtn = document.getElementById('zipBtn');
 
-  // 1) Fetch the list of recordings
-  async function fetchRecordingsList() {
+  let canEdit = false; // operator role has `library` (see GET /session)
+  let canShare = false; // operator role has `share`
+  let listGeneration = 0; // bumped per reload so a reply for old filters is ignored
+  let nextOffset = 0; // where the next page starts; null once everything is shown
+  let loadingPage = false;
+  let shownCount = 0;
+  const selectedIds = new Set(); // recordings ticked for a ZIP download
+  const PAGE_SIZE = 50;
+  const PEAKS_RETRY_MS = 3000;
+  const MARKER_HIT_PX = 5;
+  const DRAG_MIN_PX = 3; // less movement than this is a click, not a selection
+  const EXPORT_RETRY_MS = 2000;
+  const CLIP_RETRY_MS = 1000;
+  const SHARE_EXPIRY_OPTIONS = [
+    [24 * 60, '1 day'],
+    [7 * 24 * 60, '7 days'],
+    [30 * 24 * 60, '30 days'],
+  ];
+  const EXPORT_FORMATS = ['wav', 'flac', 'mp3'];
+  const LOUDNESS_TARGETS = [
+    ['', 'As recorded'],
+    ['-23', '−23 LUFS (EBU R128)'],
+    ['-24', '−24 LUFS'],
+    ['-16', '−16 LUFS'],
+    ['-14', '−14 LUFS'],
+  ];
+
+  // Players (canvas, audio, peaks) are built only once their entry is (nearly) on screen
+  const playerLoaders = new WeakMap(); // waveform container → build()
+  const playerObserver = new IntersectionObserver(
+    (entries) => {
+      entries.forEach((entry) => {
+        if (!entry.isIntersecting) return;
+        playerObserver.unobserve(entry.target);
+        const build = playerLoaders.get(entry.target);
+        if (build) build();
+      });
+    },
+    { rootMargin: '200px' }
+  );
+
+  // A marker after the last entry: when it comes into view, fetch the next page
+  const pageSentinel = document.createElement('div');
+  pageSentinel.className = 'page-sentinel';
+  const pageObserver = new IntersectionObserver(
+    (entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) loadNextPage();
+    },
+    { rootMargin: '400px' }
+  );
+
+  // 1) Fetch one page of recordings matching the filter bar
+  async function fetchRecordingsPage(offset) {
+    const params = new URLSearchParams({ sort: sortSelect.value, offset, limit: PAGE_SIZE });
+    if (searchInput.value.trim()) params.set('q', searchInput.value.trim());
+    if (contributorFilter.value.trim()) params.set('contributor', contributorFilter.value.trim());
+    if (tagFilter.value.trim()) params.set('tag', tagFilter.value.trim());
+    if (fromFilter.value) params.set('from', fromFilter.value);
+    if (toFilter.value) params.set('to', toFilter.value);
+    if (trashFilter.checked) params.set('trash', '1');
     try {
-      const resp = await fetch('/recordings');
-      const json = await resp.json();
-      return json.recordings || [];
+      const resp = await fetch(`/recordings?${params}`);
+      if (resp.status === 401) redirectToLogin(); // session expired
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      return await resp.json();
     } catch (err) {
       console.error('Error fetching recordings list:', err);
-      return [];
+      return null;
+    }
+  }
+
+  async function fetchTags() {
+    try {
+      const resp = await fetch('/recordings/tags');
+      const { tags } = await resp.json();
+      tagOptions.innerHTML = '';
+      tags.forEach(({ tag, count }) => {
+        const option = document.createElement('option');
+        option.value = tag;
+        option.label = `${tag} (${count})`;
+        tagOptions.appendChild(option);
+      });
+    } catch (err) {
+      console.error('Error fetching tags:', err);
+    }
+  }
+
+  async function loadUsage() {
+    try {
+      const resp = await fetch('/recordings/usage');
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      showUsage(await resp.json());
+    } catch (err) {
+      console.error('Error fetching storage usage:', err);
+    }
+  }
+
+  function showUsage(usage) {
+    const parts = [
+      usage.quota ? `${formatBytes(usage.used)} of ${formatBytes(usage.quota)} used` : `${formatBytes(usage.used)} used`,
+      `${usage.recordings.count} recording${usage.recordings.count === 1 ? '' : 's'} (${formatBytes(usage.recordings.bytes)})`,
+      `trash ${usage.trash.count} (${formatBytes(usage.trash.bytes)})`,
+    ];
+    if (usage.cacheBytes) parts.push(`waveforms & exports ${formatBytes(usage.cacheBytes)}`);
+    if (usage.uploadingBytes) parts.push(`uploading ${formatBytes(usage.uploadingBytes)}`);
+    let text = `Storage: ${parts.join(' · ')}.`;
+    if (usage.retention) {
+      const { days, action, keepTag } = usage.retention;
+      text += ` Recordings are ${action}d ${days} days after upload unless tagged “${keepTag}”.`;
+    }
+    storageText.textContent = text;
+
+    const fraction = usage.quota ? Math.min(usage.used / usage.quota, 1) : 0;
+    storageBarFill.parentElement.classList.toggle('hidden', !usage.quota);
+    storageBarFill.style.width = `${fraction * 100}%`;
+    storageSummary.classList.toggle('storage-full', fraction >= 0.9);
+  }
+
+  // The library needs an operator login; come back here afterwards
+  function redirectToLogin() {
+    const next = window.location.pathname.replace(/^\//, '') + window.location.search;
+    window.location.href = `login.html?next=${encodeURIComponent(next)}`;
+  }
+
+  // Resolves false when there is no session (and the page is off to login.html) or
+  // the operator's role has no `library` permission
+  async function loadSession() {
+    try {
+      const resp = await fetch('/session');
+      if (resp.status === 401) {
+        redirectToLogin();
+        return false;
+      }
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const { role, permissions } = await resp.json();
+      if (!permissions.includes('library')) {
+        libraryStatus.textContent = `Your role (${role}) cannot open the recording library.`;
+        return false;
+      }
+      canEdit = true;
+      canShare = permissions.includes('share');
+      selectionBar.classList.remove('hidden');
+    } catch (err) {
+      console.error('Error fetching session:', err);
     }
+    return true;
   }
 
-  // 2) For each filename, create UI entry
-  async function renderRecording(filename) {
+  // PATCH / DELETE / restore / markers; resolves with the updated recording or null on failure
+  async function updateRecording(recording, method, body, suffix = '') {
+    try {
+      const resp = await fetch(`/recordings/${encodeURIComponent(recording.id)}${suffix}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const json = await resp.json();
+      if (!resp.ok) throw new Error(json.error || `HTTP ${resp.status}`);
+      return json.recording;
+    } catch (err) {
+      console.error(`Error updating recording ${recording.id}:`, err);
+      alert(`Could not update recording: ${err.message}`);
+      return null;
+    }
+  }
+
+  // Start the list again from the first page (filters or sort changed)
+  function reloadRecordings() {
+    listGeneration += 1;
+    nextOffset = 0;
+    loadingPage = false;
+    shownCount = 0;
+    recordingsContainer.innerHTML = '';
+    libraryStatus.textContent = 'Loading…';
+    loadNextPage();
+  }
+
+  async function loadNextPage() {
+    if (loadingPage || nextOffset === null) return;
+    loadingPage = true;
+    const generation = listGeneration;
+    const page = await fetchRecordingsPage(nextOffset);
+    if (generation !== listGeneration) return;
+    loadingPage = false;
+    if (!page) {
+      libraryStatus.textContent = 'Could not load recordings.';
+      return;
+    }
+
+    page.recordings.forEach((recording) => renderRecording(recording));
+    shownCount += page.recordings.length;
+    nextOffset = page.nextOffset;
+    const noun = `recording${page.total === 1 ? '' : 's'}${trashFilter.checked ? ' in the trash' : ''}`;
+    libraryStatus.textContent =
+      shownCount < page.total ? `Showing ${shownCount} of ${page.total} ${noun}` : `${page.total} ${noun}`;
+
+    // Keep the sentinel last; re-observing fires again if it is still on screen
+    recordingsContainer.appendChild(pageSentinel);
+    pageObserver.unobserve(pageSentinel);
+    if (nextOffset !== null) pageObserver.observe(pageSentinel);
+  }
+
+  // An entry left this list (deleted / restored): later pages shift up by one
+  function removeEntry(entryEl) {
+    entryEl.remove();
+    selectedIds.delete(entryEl.dataset.id);
+    showSelection();
+    shownCount -= 1;
+    if (nextOffset !== null) nextOffset -= 1;
+  }
+
+  // 2) For each recording, create UI entry (at the end of the list, or after afterEl)
+  function renderRecording(recording, afterEl) {
     const entryEl = document.createElement('div');
     entryEl.className = 'recording-entry';
+    entryEl.dataset.id = recording.id;
+
+    const headingEl = document.createElement('div');
+    headingEl.className = 'recording-title';
+    if (canEdit && !recording.deletedAt) {
+      const selectBox = document.createElement('input');
+      selectBox.type = 'checkbox';
+      selectBox.className = 'select-recording';
+      selectBox.title = 'Select for a ZIP download';
+      selectBox.checked = selectedIds.has(recording.id);
+      selectBox.onchange = () => {
+        if (selectBox.checked) selectedIds.add(recording.id);
+        else selectedIds.delete(recording.id);
+        showSelection();
+      };
+      headingEl.appendChild(selectBox);
+    }
+    const titleEl = document.createElement('span');
+    headingEl.appendChild(titleEl);
+    entryEl.appendChild(headingEl);
+
+    const metaEl = document.createElement('div');
+    metaEl.className = 'recording-meta';
+    entryEl.appendChild(metaEl);
 
-    const titleEl = document.createElement('div');
-    titleEl.className = 'recording-title';
-    titleEl.textContent = filename;
-    entryEl.appendChild(titleEl);
+    const tagsEl = document.createElement('div');
+    tagsEl.className = 'recording-tags';
+    entryEl.appendChild(tagsEl);
 
-    // Waveform container
+    const notesEl = document.createElement('div');
+    notesEl.className = 'recording-notes';
+    entryEl.appendChild(notesEl);
+
+    // Title, details, tags and notes are redrawn after each edit
+    function showDetails() {
+      titleEl.textContent = recording.title || recording.contributor || recording.originalName;
+      metaEl.textContent = describeRecording(recording);
+      tagsEl.innerHTML = '';
+      recording.tags.forEach((tag) => {
+        const chip = document.createElement('button');
+        chip.className = 'tag';
+        chip.textContent = tag;
+        chip.title = `Show recordings tagged “${tag}”`;
+        chip.onclick = () => {
+          tagFilter.value = tag;
+          reloadRecordings();
+        };
+        tagsEl.appendChild(chip);
+      });
+      notesEl.textContent = recording.notes;
+      notesEl.classList.toggle('hidden', !recording.notes);
+    }
+    showDetails();
+
+    if (canEdit) {
+      entryEl.appendChild(renderActions(recording, entryEl, notesEl, showDetails));
+    }
+
+    // Waveform area keeps its height so the page doesn't jump when players appear
     const wfContainer = document.createElement('div');
     wfContainer.className = 'waveform-container';
     wfContainer.style.width = '100%';
     wfContainer.style.height = '100px';
     wfContainer.style.position = 'relative';
+    entryEl.appendChild(wfContainer);
+
+    if (afterEl) {
+      afterEl.after(entryEl);
+    } else {
+      recordingsContainer.appendChild(entryEl);
+    }
+    playerLoaders.set(wfContainer, () => renderPlayer(recording, wfContainer, entryEl));
+    playerObserver.observe(wfContainer);
+  }
 
+  // Ticked recordings: count, and the ZIP button once there is something to download
+  function showSelection() {
+    selectionCount.textContent = `${selectedIds.size} selected`;
+    zipBtn.disabled = selectedIds.size === 0;
+  }
+
+  function selectShown(checked) {
+    recordingsContainer.querySelectorAll('.recording-entry').forEach((entryEl) => {
+      const selectBox = entryEl.querySelector('.select-recording');
+      if (!selectBox) return; // in the trash
+      selectBox.checked = checked;
+      if (checked) selectedIds.add(entryEl.dataset.id);
+    });
+    if (!checked) selectedIds.clear();
+    showSelection();
+  }
+
+  // A real form submission rather than fetch(), so the ZIP streams to disk instead of memory
+  function downloadZip() {
+    const form = document.createElement('form');
+    form.method = 'POST';
+    form.action = '/recordings/zip';
+    form.className = 'hidden';
+    const input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = 'ids';
+    input.value = [...selectedIds].join(',');
+    form.appendChild(input);
+    document.body.appendChild(form);
+    form.submit();
+    form.remove();
+  }
+
+  // 3) Waveform canvas, ticker and audio controls, built when the entry is first seen
+  function renderPlayer(recording, wfContainer, entryEl) {
     const canvas = document.createElement('canvas');
     canvas.className = 'waveform-canvas';
-    canvas.width = wfContainer.clientWidth;
     canvas.height = 100;
     wfContainer.appendChild(canvas);
 
@@ -61,7 +407,9 @@ document.addEventListener('DOMContentLoaded', () => {
     ticker.style.left = '0px';
     wfContainer.appendChild(ticker);
 
-    entryEl.appendChild(wfContainer);
+    const selectionEl = document.createElement('div');
+    selectionEl.className = 'selection hidden';
+    wfContainer.appendChild(selectionEl);
 
     // Controls: audio element + play/pause button + time display
     const controlsEl = document.createElement('div');
@@ -70,7 +418,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const audioEl = document.createElement('audio');
     audioEl.controls = true;
     audioEl.preload = 'none';
-    audioEl.src = `/recordings/${encodeURIComponent(filename)}`;
+    audioEl.src = `/recordings/${encodeURIComponent(recording.file)}`;
     controlsEl.appendChild(audioEl);
 
     const playPauseBtn = document.createElement('button');
@@ -82,21 +430,168 @@ document.addEventListener('DOMContentLoaded', () => {
     timeDisplay.textContent = '00:00 / 00:00';
     controlsEl.appendChild(timeDisplay);
 
-    entryEl.appendChild(controlsEl);
+    wfContainer.after(controlsEl);
 
-    recordingsContainer.appendChild(entryEl);
+    const clipEl = document.createElement('div');
+    clipEl.className = 'clip-controls hidden';
+    controlsEl.after(clipEl);
+    if (canEdit && !recording.deletedAt) {
+      controlsEl.after(renderExports(recording));
+    }
 
-    // Once we have the audio ArrayBuffer, decode and draw waveform
-    try {
-      const arrayBuffer = await fetch(`/recordings/${encodeURIComponent(filename)}`).then((r) =>
-        r.arrayBuffer()
-      );
-      const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-      const audioBuffer = await audioCtx.decodeAudioData(arrayBuffer);
-      drawFullWaveform(canvas, audioBuffer);
-      setupTicker(canvas, ticker, audioEl, timeDisplay, audioBuffer.duration);
-    } catch (err) {
-      console.error(`Error loading or decoding ${filename}:`, err);
+    const markerList = document.createElement('div');
+    markerList.className = 'marker-list';
+    clipEl.after(markerList);
+
+    // Length comes from the peaks (or the sidecar) until the <audio> element has
+    // loaded its own; MediaRecorder WebM files may never report one (Infinity)
+    let duration = recording.duration || 0;
+    let peaks = null;
+    const getDuration = () => (Number.isFinite(audioEl.duration) && audioEl.duration > 0 ? audioEl.duration : duration);
+
+    // Waveform with the markers on top, redrawn whenever either changes
+    function redraw() {
+      drawPeaks(canvas, peaks);
+      drawMarkers(canvas, recording.markers, getDuration());
+    }
+    redraw();
+    loadPeaks(recording, canvas, (loaded) => {
+      peaks = loaded;
+      duration = duration || peaks.duration;
+      updateTimeDisplay(timeDisplay, audioEl.currentTime, getDuration());
+      redraw();
+    });
+    audioEl.addEventListener('durationchange', redraw);
+    setupTicker(canvas, ticker, audioEl, timeDisplay, getDuration);
+
+    const editable = canEdit && !recording.deletedAt;
+    const timeAt = (x) => Math.min(Math.max(x / canvas.clientWidth, 0), 1) * getDuration();
+    function seek(time) {
+      audioEl.currentTime = time;
+      updateTimeDisplay(timeDisplay, time, getDuration());
+      updateTickerPosition(ticker, canvas, time, getDuration());
+    }
+
+    // Click the waveform to seek (onto a marker if one is under the pointer);
+    // drag across it to select a range
+    let dragFrom = null;
+    canvas.style.cursor = 'pointer';
+    canvas.onpointerdown = (e) => {
+      if (!getDuration()) return;
+      dragFrom = e.offsetX;
+      canvas.setPointerCapture(e.pointerId);
+    };
+    canvas.onpointermove = (e) => {
+      if (dragFrom === null) {
+        const marker = markerAt(recording.markers, e.offsetX, canvas.clientWidth, getDuration());
+        canvas.title = marker ? `${formatTime(marker.time)} ${marker.label}` : '';
+      } else if (Math.abs(e.offsetX - dragFrom) >= DRAG_MIN_PX) {
+        setSelection(timeAt(dragFrom), timeAt(e.offsetX));
+      }
+    };
+    canvas.onpointerup = (e) => {
+      if (dragFrom === null) return;
+      const moved = Math.abs(e.offsetX - dragFrom) >= DRAG_MIN_PX;
+      dragFrom = null;
+      if (moved) return;
+      const marker = markerAt(recording.markers, e.offsetX, canvas.clientWidth, getDuration());
+      seek(marker ? marker.time : timeAt(e.offsetX));
+    };
+
+    // The selected range (seconds), shaded over the waveform
+    let selection = null;
+    let previewEnd = null; // while previewing, playback pauses here
+    const selectionInfo = document.createElement('span');
+    clipEl.appendChild(selectionInfo);
+    function setSelection(a, b) {
+      selection = { start: Math.min(a, b), end: Math.max(a, b) };
+      const total = getDuration();
+      selectionEl.style.left = `${(selection.start / total) * canvas.clientWidth}px`;
+      selectionEl.style.width = `${((selection.end - selection.start) / total) * canvas.clientWidth}px`;
+      selectionEl.classList.remove('hidden');
+      clipEl.classList.remove('hidden');
+      selectionInfo.textContent = `Selection ${formatTime(selection.start)}–${formatTime(selection.end)} (${(
+        selection.end - selection.start
+      ).toFixed(1)} s)`;
+    }
+    function clearSelection() {
+      selection = null;
+      previewEnd = null;
+      selectionEl.classList.add('hidden');
+      clipEl.classList.add('hidden');
+    }
+
+    function addClipButton(label, onclick) {
+      const btn = document.createElement('button');
+      btn.textContent = label;
+      btn.onclick = onclick;
+      clipEl.appendChild(btn);
+      return btn;
+    }
+    addClipButton('Play Selection', () => {
+      seek(selection.start);
+      previewEnd = selection.end;
+      audioEl.play();
+      playPauseBtn.textContent = 'Pause';
+      const watch = () => {
+        if (previewEnd === null || audioEl.paused) return;
+        if (audioEl.currentTime >= previewEnd) {
+          audioEl.pause();
+          playPauseBtn.textContent = 'Play';
+          previewEnd = null;
+          return;
+        }
+        requestAnimationFrame(watch);
+      };
+      requestAnimationFrame(watch);
+    });
+    if (editable) {
+      const saveClipBtn = addClipButton('Save Clip', async () => {
+        const { start, end } = selection;
+        const name = recording.title || recording.contributor || recording.originalName;
+        const title = prompt('Title for the clip:', `${name} (clip ${formatTime(start)}–${formatTime(end)})`);
+        if (title === null) return;
+        saveClipBtn.disabled = true;
+        saveClipBtn.textContent = 'Saving…';
+        const clip = await requestClip(recording, { start, end, title });
+        saveClipBtn.disabled = false;
+        saveClipBtn.textContent = 'Save Clip';
+        if (!clip) return;
+        // The clip is listed right under its source; later pages shift down by one
+        renderRecording(clip, entryEl);
+        shownCount += 1;
+        if (nextOffset !== null) nextOffset += 1;
+        clearSelection();
+        loadUsage();
+      });
+    }
+    addClipButton('Clear', clearSelection);
+
+    function showMarkers() {
+      markerList.innerHTML = '';
+      recording.markers.forEach((marker) => {
+        markerList.appendChild(renderMarker(recording, marker, audioEl, editable, saveMarkers));
+      });
+      redraw();
+    }
+    async function saveMarkers(method, body, suffix) {
+      const updated = await updateRecording(recording, method, body, suffix);
+      if (!updated) return;
+      recording.markers = updated.markers;
+      showMarkers();
+    }
+    showMarkers();
+
+    // Add a marker at the playback position (taken before the label is asked for)
+    if (editable) {
+      const addMarkerBtn = document.createElement('button');
+      addMarkerBtn.textContent = 'Add Marker';
+      addMarkerBtn.onclick = () => {
+        const time = audioEl.currentTime;
+        const label = prompt(`Label for the marker at ${formatTime(time)}:`, '');
+        if (label !== null) saveMarkers('POST', { time, label }, '/markers');
+      };
+      controlsEl.appendChild(addMarkerBtn);
     }
 
     // Play/pause button toggles playback
@@ -112,89 +607,421 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Sync time display and ticker when user clicks on <audio> controls
     audioEl.ontimeupdate = () => {
-      updateTimeDisplay(timeDisplay, audioEl.currentTime, audioEl.duration);
-      updateTickerPosition(ticker, canvas, audioEl.currentTime, audioEl.duration);
+      const total = getDuration();
+      updateTimeDisplay(timeDisplay, audioEl.currentTime, total);
+      updateTickerPosition(ticker, canvas, audioEl.currentTime, total);
     };
     audioEl.onended = () => {
       playPauseBtn.textContent = 'Play';
     };
   }
 
-  // Draw the entire waveform into the canvas
-  function drawFullWaveform(canvas, audioBuffer) {
-    const ctx = canvas.getContext('2d');
-    const { width, height } = canvas;
-    ctx.fillStyle = '#222';
-    ctx.fillRect(0, 0, width, height);
-
-    const channelData = audioBuffer.numberOfChannels > 1
-      ? mixDownToMono(audioBuffer.getChannelData(0), audioBuffer.getChannelData(1))
-      : audioBuffer.getChannelData(0);
-
-    const samples = channelData.length;
-    const blockSize = Math.floor(samples / width);
-    const filteredData = [];
-    for (let i = 0; i < width; i++) {
-      let sum = 0;
-      for (let j = 0; j < blockSize; j++) {
-        sum += Math.abs(channelData[i * blockSize + j]);
+  // Sample rate and loudness pickers, and one download button per format
+  function renderExports(recording) {
+    const exportEl = document.createElement('div');
+    exportEl.className = 'export-controls';
+    exportEl.appendChild(document.createTextNode('Download'));
+
+    const rateSelect = document.createElement('select');
+    [48000, 44100].forEach((rate) => {
+      const option = document.createElement('option');
+      option.value = rate;
+      option.textContent = `${rate / 1000} kHz`;
+      rateSelect.appendChild(option);
+    });
+    exportEl.appendChild(rateSelect);
+
+    const targetSelect = document.createElement('select');
+    targetSelect.title = 'Normalise loudness';
+    LOUDNESS_TARGETS.forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      targetSelect.appendChild(option);
+    });
+    exportEl.appendChild(targetSelect);
+
+    EXPORT_FORMATS.forEach((format) => {
+      const btn = document.createElement('button');
+      btn.textContent = format.toUpperCase();
+      btn.title = format === 'wav' ? 'Broadcast WAV (24-bit, with bext metadata)' : '';
+      btn.onclick = async () => {
+        btn.disabled = true;
+        btn.textContent = `${format.toUpperCase()}…`;
+        const target = targetSelect.value ? Number(targetSelect.value) : null;
+        const url = await requestExport(recording, { format, sampleRate: Number(rateSelect.value), target });
+        btn.disabled = false;
+        btn.textContent = format.toUpperCase();
+        if (!url) return;
+        loadUsage();
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = '';
+        link.click();
+      };
+      exportEl.appendChild(btn);
+    });
+    return exportEl;
+  }
+
+  // Ask for an export until the server has made it; resolves with its URL or null on failure
+  async function requestExport(recording, options) {
+    try {
+      for (;;) {
+        const resp = await fetch(`/recordings/${encodeURIComponent(recording.id)}/exports`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(options),
+        });
+        const json = await resp.json();
+        if (resp.status === 202) {
+          await new Promise((resolve) => setTimeout(resolve, EXPORT_RETRY_MS));
+          continue;
+        }
+        if (!resp.ok) throw new Error(json.error || `HTTP ${resp.status}`);
+        return json.url;
       }
-      filteredData.push(sum / blockSize);
-    }
-    const multiplier = height / Math.max(...filteredData);
-    ctx.lineWidth = 1;
-    ctx.strokeStyle = '#0f0';
-    ctx.beginPath();
-    for (let i = 0; i < width; i++) {
-      const x = i;
-      const y = height - filteredData[i] * multiplier;
-      if (i === 0) {
-        ctx.moveTo(x, y);
-      } else {
-        ctx.lineTo(x, y);
+    } catch (err) {
+      console.error(`Error exporting ${recording.file} as ${options.format}:`, err);
+      alert(`Could not export recording: ${err.message}`);
+      return null;
+    }
+  }
+
+  // Queue a clip and wait until the server has cut it; resolves with the new recording or null
+  async function requestClip(recording, body) {
+    const base = `/recordings/${encodeURIComponent(recording.id)}/clips`;
+    try {
+      let resp = await fetch(base, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      let json = await resp.json();
+      if (!resp.ok) throw new Error(json.error || `HTTP ${resp.status}`);
+      const statusUrl = `${base}/${encodeURIComponent(json.job)}`;
+      while (resp.status === 202) {
+        await new Promise((resolve) => setTimeout(resolve, CLIP_RETRY_MS));
+        resp = await fetch(statusUrl);
+        json = await resp.json();
+        if (!resp.ok) throw new Error(json.error || `HTTP ${resp.status}`);
       }
+      return json.recording;
+    } catch (err) {
+      console.error(`Error cutting a clip from ${recording.file}:`, err);
+      alert(`Could not save clip: ${err.message}`);
+      return null;
     }
-    ctx.stroke();
   }
 
-  // Helper: if stereo, average two channels into one array
-  function mixDownToMono(ch0, ch1) {
-    const length = Math.min(ch0.length, ch1.length);
-    const mono = new Float32Array(length);
-    for (let i = 0; i < length; i++) {
-      mono[i] = (ch0[i] + ch1[i]) / 2;
+  // One marker row: seek button, plus Rename / Move Here / ✕ when editable
+  function renderMarker(recording, marker, audioEl, editable, saveMarkers) {
+    const rowEl = document.createElement('div');
+    rowEl.className = `marker marker-${marker.kind}`;
+
+    const seekBtn = document.createElement('button');
+    seekBtn.className = 'marker-seek';
+    seekBtn.textContent = `${formatTime(marker.time)} ${marker.label}`;
+    seekBtn.title = marker.createdBy ? `Added by ${marker.createdBy}` : '';
+    seekBtn.onclick = () => {
+      audioEl.currentTime = marker.time;
+    };
+    rowEl.appendChild(seekBtn);
+    if (!editable) return rowEl;
+
+    const suffix = `/markers/${encodeURIComponent(marker.id)}`;
+    [
+      [
+        'Rename',
+        () => {
+          const label = prompt('Marker label:', marker.label);
+          if (label !== null) saveMarkers('PATCH', { label }, suffix);
+        },
+      ],
+      ['Move Here', () => saveMarkers('PATCH', { time: audioEl.currentTime }, suffix)],
+      ['✕', () => saveMarkers('DELETE', null, suffix)],
+    ].forEach(([label, onclick]) => {
+      const btn = document.createElement('button');
+      btn.textContent = label;
+      btn.onclick = onclick;
+      rowEl.appendChild(btn);
+    });
+    rowEl.lastChild.title = 'Delete marker';
+    return rowEl;
+  }
+
+  // Fetch peaks (retrying while the server is still making them) and draw them
+  async function loadPeaks(recording, canvas, onLoaded) {
+    try {
+      const resp = await fetch(`/recordings/${encodeURIComponent(recording.id)}/peaks`);
+      if (resp.status === 202) {
+        if (canvas.isConnected) setTimeout(() => loadPeaks(recording, canvas, onLoaded), PEAKS_RETRY_MS);
+        return;
+      }
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      onLoaded(await resp.json());
+    } catch (err) {
+      console.error(`Error loading waveform for ${recording.file}:`, err);
     }
-    return mono;
   }
 
-  // Setup the ticker (vertical line) to move over the waveform
-  function setupTicker(canvas, ticker, audioEl, timeDisplay, duration) {
-    function update() {
-      if (!audioEl.paused && !audioEl.ended) {
-        const fraction = audioEl.currentTime / duration;
-        const canvasWidth = canvas.width;
-        ticker.style.left = `${fraction * canvasWidth}px`;
-        updateTimeDisplay(timeDisplay, audioEl.currentTime, duration);
+  // The marker drawn within a few pixels of x, if any
+  function markerAt(markers, x, width, duration) {
+    if (!duration) return null;
+    return markers.find((marker) => Math.abs((Math.min(marker.time, duration) / duration) * width - x) <= MARKER_HIT_PX) || null;
+  }
+
+  // Rename / Tags / Notes / Delete (Restore in the trash)
+  function renderActions(recording, entryEl, notesEl, showDetails) {
+    const actionsEl = document.createElement('div');
+    actionsEl.className = 'recording-actions';
+
+    function addButton(label, onclick) {
+      const btn = document.createElement('button');
+      btn.textContent = label;
+      btn.onclick = onclick;
+      actionsEl.appendChild(btn);
+      return btn;
+    }
+
+    async function save(changes) {
+      const updated = await updateRecording(recording, 'PATCH', changes);
+      if (!updated) return false;
+      Object.assign(recording, updated);
+      showDetails();
+      return true;
+    }
+
+    if (recording.deletedAt) {
+      addButton('Restore', async () => {
+        if (await updateRecording(recording, 'POST', null, '/restore')) {
+          removeEntry(entryEl);
+          fetchTags();
+          loadUsage();
+        }
+      });
+      addButton('Delete Forever', async () => {
+        const name = recording.title || recording.contributor || recording.originalName;
+        if (!confirm(`Delete “${name}” for good? This cannot be undone.`)) return;
+        if (await updateRecording(recording, 'DELETE', null, '?permanent=1')) {
+          removeEntry(entryEl);
+          loadUsage();
+        }
+      });
+      return actionsEl;
+    }
+
+    addButton('Rename', () => {
+      const title = prompt('Title for this recording:', recording.title || recording.contributor || '');
+      if (title !== null) save({ title });
+    });
+    addButton('Tags', async () => {
+      const tags = prompt('Tags (comma-separated):', recording.tags.join(', '));
+      if (tags === null) return;
+      if (await save({ tags: tags.split(',') })) fetchTags();
+    });
+
+    // Notes are edited in place: the text swaps for a textarea until saved
+    const notesEditor = document.createElement('textarea');
+    notesEditor.className = 'notes-editor hidden';
+    notesEditor.rows = 3;
+    notesEditor.maxLength = 2000;
+    notesEl.after(notesEditor);
+    const notesBtn = addButton('Notes', async () => {
+      if (notesEditor.classList.contains('hidden')) {
+        notesEditor.value = recording.notes;
+        notesEditor.classList.remove('hidden');
+        notesEl.classList.add('hidden');
+        notesBtn.textContent = 'Save Notes';
+        notesEditor.focus();
+      } else if (await save({ notes: notesEditor.value })) {
+        notesEditor.classList.add('hidden');
+        notesBtn.textContent = 'Notes';
       }
-      requestAnimationFrame(update);
+    });
+
+    const sharePanel = canShare ? renderSharePanel(recording) : null;
+    if (sharePanel) {
+      addButton('Share', () => {
+        if (sharePanel.classList.toggle('hidden')) return;
+        sharePanel.refresh();
+      });
     }
-    update();
+
+    addButton('Delete', async () => {
+      const name = recording.title || recording.contributor || recording.originalName;
+      if (!confirm(`Move “${name}” to the trash?`)) return;
+      if (await updateRecording(recording, 'DELETE')) {
+        removeEntry(entryEl);
+        fetchTags();
+        loadUsage();
+      }
+    });
+    if (sharePanel) actionsEl.appendChild(sharePanel);
+    return actionsEl;
   }
 
-  function updateTimeDisplay(el, current, total) {
-    function fmt(t) {
-      const mm = String(Math.floor(t / 60)).padStart(2, '0');
-      const ss = String(Math.floor(t % 60)).padStart(2, '0');
-      return `${mm}:${ss}`;
+  // Share links (GET/POST/DELETE /shares): the active ones, and a form for a new one
+  function renderSharePanel(recording) {
+    const panel = document.createElement('div');
+    panel.className = 'share-panel hidden';
+    const listEl = document.createElement('div');
+    panel.appendChild(listEl);
+
+    const formEl = document.createElement('div');
+    formEl.className = 'share-form';
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.maxLength = 120;
+    labelInput.placeholder = 'Who is it for? (optional)';
+    const expirySelect = document.createElement('select');
+    SHARE_EXPIRY_OPTIONS.forEach(([minutes, label]) => {
+      const option = document.createElement('option');
+      option.value = minutes;
+      option.textContent = `Expires in ${label}`;
+      expirySelect.appendChild(option);
+    });
+    expirySelect.value = String(7 * 24 * 60);
+    const createBtn = document.createElement('button');
+    createBtn.textContent = 'Create Link';
+    formEl.append(labelInput, expirySelect, createBtn);
+    panel.appendChild(formEl);
+
+    async function request(url, options) {
+      try {
+        const resp = await fetch(url, options);
+        const json = await resp.json();
+        if (!resp.ok) throw new Error(json.error || `HTTP ${resp.status}`);
+        return json;
+      } catch (err) {
+        console.error(`Error with share links for ${recording.id}:`, err);
+        alert(`Share links: ${err.message}`);
+        return null;
+      }
     }
-    el.textContent = `${fmt(current)} / ${fmt(total)}`;
+
+    function showShares(shares) {
+      listEl.innerHTML = '';
+      if (!shares.length) {
+        listEl.textContent = 'No active share links.';
+        return;
+      }
+      shares.forEach((share) => {
+        const row = document.createElement('div');
+        row.className = 'share-link';
+        row.dataset.id = share.id;
+        const text = document.createElement('span');
+        text.textContent = `${share.label || 'Link'} · expires ${new Date(share.expiresAt).toLocaleString()} · by ${share.createdBy}`;
+        const copyBtn = document.createElement('button');
+        copyBtn.textContent = 'Copy Link';
+        copyBtn.onclick = () => copyLink(new URL(share.path, window.location.href).href, copyBtn);
+        const revokeBtn = document.createElement('button');
+        revokeBtn.textContent = 'Revoke';
+        revokeBtn.onclick = async () => {
+          if (!confirm('Revoke this link? Anyone using it will lose access straight away.')) return;
+          if (await request(`/shares/${encodeURIComponent(share.id)}`, { method: 'DELETE' })) panel.refresh();
+        };
+        row.append(text, copyBtn, revokeBtn);
+        listEl.appendChild(row);
+      });
+    }
+
+    panel.refresh = async () => {
+      const json = await request(`/shares?recording=${encodeURIComponent(recording.id)}`);
+      if (json) showShares(json.shares);
+    };
+
+    createBtn.onclick = async () => {
+      createBtn.disabled = true;
+      const json = await request(`/recordings/${encodeURIComponent(recording.id)}/shares`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ label: labelInput.value, expiresInMinutes: Number(expirySelect.value) }),
+      });
+      createBtn.disabled = false;
+      if (!json) return;
+      labelInput.value = '';
+      await panel.refresh();
+      const copyBtn = listEl.querySelector(`.share-link[data-id="${json.share.id}"] button`);
+      copyLink(new URL(json.share.path, window.location.href).href, copyBtn);
+    };
+    return panel;
   }
 
-  // Main entry
-  (async () => {
-    const recordings = await fetchRecordingsList();
-    for (let filename of recordings) {
-      await renderRecording(filename);
+  async function copyLink(url, btn) {
+    try {
+      await navigator.clipboard.writeText(url);
+      if (!btn) return;
+      btn.textContent = 'Copied';
+      setTimeout(() => {
+        btn.textContent = 'Copy Link';
+      }, 1500);
+    } catch (err) {
+      // Clipboard API needs a secure context; show the link to copy by hand
+      prompt('Copy this link:', url);
+    }
+  }
+
+  // One line of sidecar details; files recorded before sidecars existed only have a name
+  function describeRecording(recording) {
+    const parts = [];
+    if (recording.room) parts.push(`Room “${recording.room}”`);
+    const startedAt = recording.startedAt || recording.uploadedAt;
+    if (startedAt) parts.push(new Date(startedAt).toLocaleString());
+    if (recording.duration !== null && recording.duration !== undefined) parts.push(formatTime(recording.duration));
+    if (recording.codec) parts.push(recording.codec);
+    if (recording.channels) parts.push(recording.channels === 1 ? 'mono' : `${recording.channels} ch`);
+    if (recording.loudness && recording.loudness.integrated !== null) {
+      const { integrated, range, truePeak } = recording.loudness;
+      parts.push(`${integrated} LUFS, LRA ${range} LU, peak ${truePeak} dBTP`);
     }
+    if (recording.source) {
+      const { name, start, end } = recording.source;
+      parts.push(`clip of “${name}” ${formatTime(start)}–${formatTime(end)}`);
+    }
+    if (recording.uploadedBy) parts.push(`uploaded by ${recording.uploadedBy}`);
+    if (recording.contributor) parts.push(recording.originalName);
+    return parts.join(' · ');
+  }
+
+  function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit += 1;
+    }
+    return `${unit ? value.toFixed(1) : value} ${units[unit]}`;
+  }
+
+  // Main entry: filters reload the list (text fields after a short pause)
+  let filterTimer = null;
+  [searchInput, contributorFilter, tagFilter].forEach((input) => {
+    input.addEventListener('input', () => {
+      clearTimeout(filterTimer);
+      filterTimer = setTimeout(reloadRecordings, 300);
+    });
+  });
+  [fromFilter, toFilter, trashFilter, sortSelect].forEach((input) => {
+    input.addEventListener('change', reloadRecordings);
+  });
+  clearFiltersBtn.onclick = () => {
+    [searchInput, contributorFilter, tagFilter, fromFilter, toFilter].forEach((input) => {
+      input.value = '';
+    });
+    trashFilter.checked = false;
+    reloadRecordings();
+  };
+  selectShownBtn.onclick = () => selectShown(true);
+  selectNoneBtn.onclick = () => selectShown(false);
+  zipBtn.onclick = downloadZip;
+  showSelection();
+
+  (async () => {
+    if (!(await loadSession())) return;
+    fetchTags();
+    loadUsage();
+    reloadRecordings();
   })();
 });
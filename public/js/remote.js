@@ -2,7 +2,8 @@
  * public/js/remote.js (No Compression)
  *
  * - Two‐step remote flow:
- *    1. Prompt for name.
+ *    1. Prompt for name (skipped when opened from a studio invite link, which fixes
+ *       the name and room; see getInviteFromURL() in common.js).
  *    2. Once name is submitted, reveal main UI, show displayName, set up a
  *       raw stereo/mono mic capture with optional GLITS tone, start WebSocket/RTC.
  *
@@ -20,16 +21,12 @@
  */
 
 (() => {
-  // TURN/STUN configuration
-  const ICE_CONFIG = {
-    iceServers: [
-      {
-        urls: ['turn:turn.nkpa.co.uk:3478'],
-        username: 'webrtcuser',
-        credential: 'uS2h$2JW!hL3!E9yb1N1',
-      },
-    ],
-  };
+  // Signed invite from the studio (remote.html?invite=<token>), if any
+  const invite = getInviteFromURL();
+  // Room (show) to join: remote.html?room=<name>. Ignored by the server for invites.
+  const roomName =
+    (invite && invite.room) || new URLSearchParams(window.location.search).get('room') || 'main';
+  let joinRejected = false;   // server refused our join; stop reconnecting
 
   let ws = null;
   let pc = null;
@@ -41,6 +38,7 @@
   let processedStream = null; // MediaStream from merger
   let audioSender = null;     // RTCRtpSender for outgoing audio
   let localID = null;
+  let resumeToken = null;     // lets us reclaim localID after a WebSocket drop
   let displayName = '';
   let currentMode = 'music';  // 'music' (stereo) or 'speech' (mono)
   let isMuted = false;
@@ -70,6 +68,13 @@
     mainUiDiv = document.getElementById('main-ui');
     displayNameDiv = document.getElementById('display-name');
 
+    // Invited contributors already have a name
+    if (invite) {
+      displayName = invite.name;
+      enterMainUI();
+      return;
+    }
+
     nameSubmitBtn.onclick = () => {
       const typedName = nameInput.value.trim();
       if (!typedName) {
@@ -77,16 +82,19 @@
         return;
       }
       displayName = typedName;
+      enterMainUI();
+    };
+  }
 
-      // Hide name step, reveal main UI
-      nameStepDiv.classList.add('hidden');
-      mainUiDiv.classList.remove('hidden');
-      displayNameDiv.textContent = `Name: ${displayName}`;
+  function enterMainUI() {
+    // Hide name step, reveal main UI
+    nameStepDiv.classList.add('hidden');
+    mainUiDiv.classList.remove('hidden');
+    displayNameDiv.textContent = `Name: ${displayName}`;
 
-      // Initialize UI and WebSocket
-      initMainUI();
-      initWebSocket();
-    };
+    // Initialize UI and WebSocket
+    initMainUI();
+    initWebSocket();
   }
 
   /////////////////////////////////////////////////////
@@ -124,6 +132,10 @@
           type: 'join',
           role: 'remote',
           name: displayName,
+          room: roomName,
+          invite: invite ? invite.token : undefined,
+          resumeId: resumeToken ? localID : undefined,
+          resumeToken: resumeToken || undefined,
         })
       );
     };
@@ -138,12 +150,16 @@
       handleSignalingMessage(msg);
     };
     ws.onclose = () => {
+      if (joinRejected) return;
       console.warn('[remote] WS closed. Reconnecting in 5 seconds...');
-      statusSpan.textContent = 'disconnected (WS)';
       setTimeout(initWebSocket, 5000);
-      if (pc) {
-        pc.close();
-        pc = null;
+      // With a resume token the server holds our ID and the studio keeps the call,
+      // so the PeerConnection is left running while we reconnect.
+      if (resumeToken) {
+        statusSpan.textContent = 'reconnecting (WS)...';
+      } else {
+        statusSpan.textContent = 'disconnected (WS)';
+        ({ pc, micStream, audioSender, isTone } = closePeerConnection({ pc, micStream, isTone, stopTone: stopGlitsTone }));
       }
     };
     ws.onerror = (err) => {
@@ -158,15 +174,33 @@
   async function handleSignalingMessage(msg) {
     switch (msg.type) {
       case 'id-assigned':
-        // { type:'id-assigned', id }
+        // { type:'id-assigned', id, room, resumeToken, resumed }
+        if (!msg.resumed && localID) {
+          // Too late to resume: we are a new remote, so drop the old call
+          ({ pc, micStream, audioSender, isTone } = closePeerConnection({ pc, micStream, isTone, stopTone: stopGlitsTone }));
+        }
         localID = msg.id;
-        console.log('[remote] Assigned localID:', localID);
-        statusSpan.textContent = 'waiting for studio';
+        resumeToken = msg.resumeToken;
+        console.log(`[remote] ${msg.resumed ? 'Resumed' : 'Assigned'} localID:`, localID);
+        if (msg.resumed && pc && pc.connectionState === 'connected') {
+          statusSpan.textContent = 'connected (WebRTC: connected)';
+        } else {
+          statusSpan.textContent = 'waiting for studio';
+        }
+        break;
+
+      case 'join-rejected':
+        // { type:'join-rejected', reason } – e.g. expired invite link
+        joinRejected = true;
+        statusSpan.textContent = 'not admitted';
+        alert(`Unable to join: ${msg.reason}`);
         break;
 
       case 'start-call':
-        // Studio asks us to start WebRTC
+        // Studio asks us to start WebRTC. Every call (including another studio
+        // taking over) gets a fresh PeerConnection.
         statusSpan.textContent = 'connecting (WebRTC)...';
+        ({ pc, micStream, audioSender, isTone } = closePeerConnection({ pc, micStream, isTone, stopTone: stopGlitsTone }));
         await startWebRTC();
         break;
 
@@ -192,14 +226,28 @@
         setAudioBitrate(msg.bitrate);
         break;
 
+      case 'mute-update':
+        // { type:'mute-update', muted } – studio muted/unmuted us
+        console.log('[remote] Mute update:', msg.muted);
+        applyRemoteMute(msg.muted);
+        break;
+
       case 'studio-disconnected':
+        // Owning studio hung up or left; wait for the next `start-call`
         console.warn('[remote] Studio disconnected.');
+        ({ pc, micStream, audioSender, isTone } = closePeerConnection({ pc, micStream, isTone, stopTone: stopGlitsTone }));
         statusSpan.textContent = 'studio disconnected';
         break;
 
       case 'chat':
-        // { type:'chat', from:'studio', name:'Studio', message }
-        appendChatMessage(msg.name, msg.message, false);
+        // { type:'chat', fromId, name, text }
+        appendChatMessage(msg.name, msg.text, false);
+        break;
+
+      case 'error':
+        // { type:'error', code, ref, field?, message } – the server refused one of our messages
+        console.warn(`[remote] Server refused ${msg.ref}: ${msg.code}`, msg.message);
+        appendChatMessage('System', msg.message || `Server refused ${msg.ref} (${msg.code})`, false);
         break;
 
       default:
@@ -232,7 +280,7 @@
 
     // Step 3: create PeerConnection if not exists
     if (!pc) {
-      pc = new RTCPeerConnection(ICE_CONFIG);
+      pc = new RTCPeerConnection(await getRTCConfig());
 
       pc.ontrack = (evt) => {
         const [incomingStream] = evt.streams;
@@ -531,6 +579,18 @@
     muteBtn.textContent = isMuted ? 'Unmute Myself' : 'Mute Myself';
   }
 
+  /////////////////////////////////////////////////////
+  // Apply remote‐imposed mute (studio → remote)
+  /////////////////////////////////////////////////////
+  function applyRemoteMute(muted) {
+    isMuted = !!muted;
+    if (audioSender) {
+      const track = isMuted ? null : processedStream.getAudioTracks()[0];
+      audioSender.replaceTrack(track);
+    }
+    muteBtn.textContent = isMuted ? 'Unmute Myself' : 'Mute Myself';
+  }
+
   /////////////////////////////////////////////////////
   // Toggle listen to studio audio
   /////////////////////////////////////////////////////
@@ -563,7 +623,6 @@
       console.log('[remote] Disabling GLITS tone');
       stopGlitsTone();
       isTone = false;
-      toneBtn.textContent = 'Send GLITS Tone';
     }
   }
 
@@ -638,6 +697,7 @@
 
     micGain.gain.setValueAtTime(1, audioContext.currentTime);
     toneGain.gain.setValueAtTime(0, audioContext.currentTime);
+    toneBtn.textContent = 'Send GLITS Tone';
   }
 
   /////////////////////////////////////////////////////
@@ -685,8 +745,7 @@
       JSON.stringify({
         type: 'chat',
         from: localID,
-        name: displayName,
-        message: text,
+        text,
         target: 'studio',
       })
     );
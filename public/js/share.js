@@ -0,0 +1,126 @@
+/**
+ * share.js
+ *
+ * Player for a recording shared by link (share.html?token=…), for people without a
+ * studio login. Everything goes through /shared/<token>, which the server refuses once
+ * the link expires or is revoked:
+ *  • GET /shared/<token> → name, contributor, date, duration and markers
+ *  • GET /shared/<token>/peaks → the waveform, drawn with markers; click to seek
+ *  • GET /shared/<token>/audio → the <audio> player
+ *  • GET /shared/<token>/download → the Download button
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+  const shareTitle = document.getElementById('shareTitle');
+  const shareMeta = document.getElementById('shareMeta');
+  const shareError = document.getElementById('shareError');
+  const sharePlayer = document.getElementById('sharePlayer');
+  const waveformContainer = document.getElementById('waveformContainer');
+  const canvas = document.getElementById('waveformCanvas');
+  const ticker = document.getElementById('ticker');
+  const audioEl = document.getElementById('shareAudio');
+  const downloadLink = document.getElementById('downloadLink');
+  const timeDisplay = document.getElementById('timeDisplay');
+  const shareExpiry = document.getElementById('shareExpiry');
+
+  const PEAKS_RETRY_MS = 3000;
+
+  const token = new URLSearchParams(window.location.search).get('token') || '';
+  const base = `/shared/${encodeURIComponent(token)}`;
+  let recording = null;
+  let peaks = null;
+
+  function showError(message) {
+    sharePlayer.classList.add('hidden');
+    shareError.textContent = message;
+    shareError.classList.remove('hidden');
+  }
+
+  // <audio> may not know its length (e.g. WebM from MediaRecorder): fall back to the sidecar's
+  function getDuration() {
+    if (Number.isFinite(audioEl.duration) && audioEl.duration > 0) return audioEl.duration;
+    return (peaks && peaks.duration) || recording.duration || 0;
+  }
+
+  async function loadShare() {
+    try {
+      const resp = await fetch(base);
+      const json = await resp.json();
+      if (!resp.ok) throw new Error(json.error || `HTTP ${resp.status}`);
+      recording = json.recording;
+      shareTitle.textContent = recording.name;
+      document.title = `${recording.name} – Shared Recording`;
+      shareMeta.textContent = describeRecording(recording);
+      shareExpiry.textContent = `This link expires ${new Date(json.expiresAt).toLocaleString()}.`;
+      audioEl.src = `${base}/audio`;
+      downloadLink.href = `${base}/download`;
+      sharePlayer.classList.remove('hidden');
+      redraw();
+      loadPeaks();
+    } catch (err) {
+      console.error('Error loading shared recording:', err);
+      showError(`This recording isn't available: ${err.message}`);
+    }
+  }
+
+  async function loadPeaks() {
+    try {
+      const resp = await fetch(`${base}/peaks`);
+      if (resp.status === 202) {
+        setTimeout(loadPeaks, PEAKS_RETRY_MS);
+        return;
+      }
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      peaks = await resp.json();
+      redraw();
+    } catch (err) {
+      console.error('Error loading waveform:', err);
+    }
+  }
+
+  // Peaks and markers come from common.js (the same drawing as the recordings page)
+  function redraw() {
+    canvas.height = canvas.clientHeight;
+    drawPeaks(canvas, peaks);
+    drawMarkers(canvas, recording.markers, getDuration());
+  }
+
+  function updatePosition() {
+    updateTickerPosition(ticker, canvas, audioEl.currentTime, getDuration());
+    updateTimeDisplay(timeDisplay, audioEl.currentTime, getDuration());
+  }
+
+  setupTicker(canvas, ticker, audioEl, timeDisplay, getDuration);
+  audioEl.addEventListener('seeked', updatePosition);
+  audioEl.addEventListener('durationchange', () => {
+    redraw();
+    updatePosition();
+  });
+  window.addEventListener('resize', () => {
+    if (recording) redraw();
+  });
+
+  waveformContainer.addEventListener('click', (e) => {
+    const duration = getDuration();
+    if (!duration) return;
+    const rect = canvas.getBoundingClientRect();
+    audioEl.currentTime = (Math.min(Math.max(e.clientX - rect.left, 0), rect.width) / rect.width) * duration;
+    updatePosition();
+  });
+
+  // Fewer details than the library's line: only what the link's recipient needs
+  function describeRecording(rec) {
+    const parts = [];
+    if (rec.contributor && rec.contributor !== rec.name) parts.push(rec.contributor);
+    if (rec.startedAt) parts.push(new Date(rec.startedAt).toLocaleString());
+    if (rec.duration !== null && rec.duration !== undefined) parts.push(formatTime(rec.duration));
+    if (rec.size) parts.push(`${(rec.size / 1024 / 1024).toFixed(1)} MB`);
+    return parts.join(' · ');
+  }
+
+  if (!token) {
+    showError('This link is incomplete: it has no share token.');
+    return;
+  }
+  loadShare();
+});
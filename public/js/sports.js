@@ -4,20 +4,23 @@
  * - Captures raw mic (mono or stereo per mode) directly, merges with GLITS tone when active.
  * - Stereo VU meter for outgoing audio.
  * - Keeps GLITS tone generation, PPM meter, mode/bitrate switching, chat, keepalives, local recording.
- * - Sports features: Reporter name, Team A/B, Score & “Report Goal” with flashing indicator until ack.
+ * - Sports features: Reporter name, Team A/B, goals for either team (scorer, minute),
+ *   score corrections and final whistle, with a flashing GOAL indicator until the studio acks.
+ * - Local recordings can be sent to the studio’s segment inbox with a title and cue notes
+ *   (resumable chunked upload, reviewed by a producer).
+ * - The match (score and events) lives on the server: we join it with `fixture-join` and
+ *   redraw from every `fixture-state`, so a reload or reconnect picks up the current score.
+ * - Opened from a studio invite link (sports.html?invite=<token>) the reporter name and room
+ *   are fixed by the invite; only the team names are asked for.
  */
 
 (() => {
-  // TURN/STUN configuration
-  const ICE_CONFIG = {
-    iceServers: [
-      {
-        urls: ['turn:turn.nkpa.co.uk:3478'],
-        username: 'webrtcuser',
-        credential: 'uS2h$2JW!hL3!E9yb1N1',
-      },
-    ],
-  };
+  // Signed invite from the studio (sports.html?invite=<token>), if any
+  const invite = getInviteFromURL();
+  // Room (show) to join: sports.html?room=<name>. Ignored by the server for invites.
+  const roomName =
+    (invite && invite.room) || new URLSearchParams(window.location.search).get('room') || 'main';
+  let joinRejected = false;      // server refused our join; stop reconnecting
 
   let ws = null;
   let pc = null;
@@ -29,12 +32,13 @@
   let processedStream = null;    // Merged stream (mic + tone) → RTCPeerConnection
   let audioSender = null;        // RTCRtpSender for outgoing audio
   let localID = null;
+  let resumeToken = null;        // lets us reclaim localID after a WebSocket drop
   let reporterName = '';
   let teamAName = '';
   let teamBName = '';
   let scoreA = 0;
   let scoreB = 0;
-  let goalPending = false;       // true until studio acknowledges
+  let matchStatus = 'live';      // 'live' | 'full-time', from the server's fixture state
 
   let currentMode = 'music';     // 'music' (stereo mic) or 'speech' (mono mic)
   let isMuted = false;
@@ -49,6 +53,8 @@
   let localRecorder = null;
   let localChunks = [];
   let isLocalRecording = false;
+  let pendingSegmentBlob = null;     // last recording, until sent or discarded
+  const sentSegments = new Map();    // segmentId → <li> showing its review status
 
   // DOM elements
   let reporterNameInput,
@@ -61,11 +67,26 @@
     teamADisplay,
     teamBDisplay,
     scoreBoard,
+    matchStatusEl,
     goalIndicator;
-  let goalBtn,
+  let goalABtn,
+    goalBBtn,
+    scorerInput,
+    minuteInput,
+    correctScoreAInput,
+    correctScoreBInput,
+    correctScoreBtn,
+    fullTimeBtn,
+    fixtureEventsEl,
     localRecordBtn,
     stopLocalRecordBtn,
-    localRecordLinks;
+    localRecordLinks,
+    segmentForm,
+    segmentTitleInput,
+    segmentCueInput,
+    sendSegmentBtn,
+    discardSegmentBtn,
+    segmentListEl;
   let statusSpan,
     muteBtn,
     toneBtn,
@@ -110,6 +131,12 @@
     nameStepDiv = document.getElementById('name-step');
     mainUiDiv = document.getElementById('main-ui');
 
+    // Invited reporters already have a name; hide that field
+    if (invite) {
+      reporterNameInput.value = invite.name;
+      reporterNameInput.parentElement.classList.add('hidden');
+    }
+
     nameSubmitBtn.onclick = () => {
       const rName = reporterNameInput.value.trim();
       const tA = teamAInput.value.trim();
@@ -148,16 +175,36 @@
     teamADisplay = document.getElementById('teamADisplay');
     teamBDisplay = document.getElementById('teamBDisplay');
     scoreBoard = document.getElementById('scoreBoard');
+    matchStatusEl = document.getElementById('matchStatus');
     goalIndicator = document.getElementById('goalIndicator');
 
-    goalBtn = document.getElementById('goalBtn');
+    goalABtn = document.getElementById('goalABtn');
+    goalBBtn = document.getElementById('goalBBtn');
+    scorerInput = document.getElementById('scorerInput');
+    minuteInput = document.getElementById('minuteInput');
+    correctScoreAInput = document.getElementById('correctScoreAInput');
+    correctScoreBInput = document.getElementById('correctScoreBInput');
+    correctScoreBtn = document.getElementById('correctScoreBtn');
+    fullTimeBtn = document.getElementById('fullTimeBtn');
+    fixtureEventsEl = document.getElementById('fixtureEvents');
     localRecordBtn = document.getElementById('localRecordBtn');
     stopLocalRecordBtn = document.getElementById('stopLocalRecordBtn');
     localRecordLinks = document.getElementById('localRecordLinks');
-
-    goalBtn.onclick = reportGoal;
+    segmentForm = document.getElementById('segmentForm');
+    segmentTitleInput = document.getElementById('segmentTitleInput');
+    segmentCueInput = document.getElementById('segmentCueInput');
+    sendSegmentBtn = document.getElementById('sendSegmentBtn');
+    discardSegmentBtn = document.getElementById('discardSegmentBtn');
+    segmentListEl = document.getElementById('segmentList');
+
+    goalABtn.onclick = () => reportGoal('A');
+    goalBBtn.onclick = () => reportGoal('B');
+    correctScoreBtn.onclick = correctScore;
+    fullTimeBtn.onclick = reportFullTime;
     localRecordBtn.onclick = startLocalRecording;
     stopLocalRecordBtn.onclick = stopLocalRecording;
+    sendSegmentBtn.onclick = sendSegment;
+    discardSegmentBtn.onclick = hideSegmentForm;
 
     // Regular remote controls
     statusSpan = document.getElementById('connStatus');
@@ -185,33 +232,95 @@
   /////////////////////////////////////////////////////
   function updateScoreDisplay() {
     scoreBoard.textContent = `${scoreA} : ${scoreB}`;
+    matchStatusEl.textContent = matchStatus === 'full-time' ? 'FT' : '';
+    goalABtn.textContent = `Goal: ${teamAName}`;
+    goalBBtn.textContent = `Goal: ${teamBName}`;
+    goalABtn.disabled = matchStatus === 'full-time';
+    goalBBtn.disabled = matchStatus === 'full-time';
+    fullTimeBtn.disabled = matchStatus === 'full-time';
   }
 
   /////////////////////////////////////////////////////
-  // Report a goal: increment local score, notify studio, flash indicator
+  // Redraw from the server's fixture state
+  // { id, teamA, teamB, scoreA, scoreB, status, events:[{ type, team, scorer, minute, ... }] }
   /////////////////////////////////////////////////////
-  function reportGoal() {
-    if (goalPending) return; // already waiting for ack
-    // Increment Team A’s score for simplicity
-    scoreA += 1;
+  function applyFixtureState(fixture) {
+    teamAName = fixture.teamA;
+    teamBName = fixture.teamB;
+    scoreA = fixture.scoreA;
+    scoreB = fixture.scoreB;
+    matchStatus = fixture.status;
+    teamADisplay.textContent = teamAName;
+    teamBDisplay.textContent = teamBName;
     updateScoreDisplay();
 
-    // Flash GOAL indicator
+    fixtureEventsEl.innerHTML = '';
+    fixture.events
+      .slice()
+      .reverse()
+      .forEach((event) => {
+        const li = document.createElement('li');
+        li.textContent = describeFixtureEvent(event);
+        fixtureEventsEl.appendChild(li);
+      });
+  }
+
+  function describeFixtureEvent(event) {
+    const minute = event.minute !== null && event.minute !== undefined ? `${event.minute}' ` : '';
+    switch (event.type) {
+      case 'goal': {
+        const team = event.team === 'A' ? teamAName : teamBName;
+        const scorer = event.scorer ? ` (${event.scorer})` : '';
+        return `${minute}Goal ${team}${scorer} – ${event.scoreA} : ${event.scoreB}`;
+      }
+      case 'correction':
+        return `Score corrected to ${event.scoreA} : ${event.scoreB}${event.note ? ` – ${event.note}` : ''}`;
+      case 'full-time':
+        return `Full time – ${event.scoreA} : ${event.scoreB}`;
+      default:
+        return event.type;
+    }
+  }
+
+  /////////////////////////////////////////////////////
+  // Report a goal for team 'A' or 'B': the server updates the score and
+  // alerts the studio; we flash the indicator until it acknowledges.
+  /////////////////////////////////////////////////////
+  function reportGoal(team) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    const msg = { type: 'goal', team };
+    const scorer = scorerInput.value.trim();
+    const minute = parseInt(minuteInput.value, 10);
+    if (scorer) msg.scorer = scorer;
+    if (Number.isInteger(minute) && minute >= 0) msg.minute = minute;
+    ws.send(JSON.stringify(msg));
+
+    scorerInput.value = '';
+    minuteInput.value = '';
     goalIndicator.style.display = 'block';
-    goalPending = true;
+  }
 
-    // Send “goal” message to studio
-    ws.send(
-      JSON.stringify({
-        type: 'goal',
-        from: localID,
-        reporter: reporterName,
-        teamA: teamAName,
-        teamB: teamBName,
-        scoreA,
-        scoreB,
-      })
-    );
+  /////////////////////////////////////////////////////
+  // Correct the score (e.g. disallowed goal) and blow the final whistle
+  /////////////////////////////////////////////////////
+  function correctScore() {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    const a = parseInt(correctScoreAInput.value, 10);
+    const b = parseInt(correctScoreBInput.value, 10);
+    if (!Number.isInteger(a) || !Number.isInteger(b) || a < 0 || b < 0) {
+      alert('Enter both scores to correct the result.');
+      return;
+    }
+    const note = prompt('Reason for the correction (optional):') || '';
+    ws.send(JSON.stringify({ type: 'score-correction', scoreA: a, scoreB: b, note: note.trim().slice(0, 200) }));
+    correctScoreAInput.value = '';
+    correctScoreBInput.value = '';
+  }
+
+  function reportFullTime() {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    if (!confirm(`Full time: ${teamAName} ${scoreA} : ${scoreB} ${teamBName}?`)) return;
+    ws.send(JSON.stringify({ type: 'full-time' }));
   }
 
   /////////////////////////////////////////////////////
@@ -219,7 +328,6 @@
   /////////////////////////////////////////////////////
   function clearGoalIndicator() {
     goalIndicator.style.display = 'none';
-    goalPending = false;
   }
 
   /////////////////////////////////////////////////////
@@ -245,6 +353,13 @@
       link.textContent = `Download Segment (${new Date().toLocaleTimeString()})`;
       link.style.display = 'block';
       localRecordLinks.appendChild(link);
+
+      // Offer to send it to the studio inbox
+      pendingSegmentBlob = blob;
+      segmentTitleInput.value = `${teamAName} v ${teamBName} – ${new Date().toLocaleTimeString()}`;
+      segmentCueInput.value = '';
+      segmentForm.classList.remove('hidden');
+      sendSegmentBtn.disabled = false;
     };
     localRecorder.start();
     isLocalRecording = true;
@@ -260,6 +375,59 @@
     stopLocalRecordBtn.disabled = true;
   }
 
+  /////////////////////////////////////////////////////
+  // Send the last segment to our inbox in the studio (resumable upload, kind "segment").
+  // We authenticate with our remote ID and the token from `id-assigned`.
+  /////////////////////////////////////////////////////
+  async function sendSegment() {
+    if (!pendingSegmentBlob) return;
+    if (!localID || !resumeToken) {
+      alert('Not connected to the studio yet; try again in a moment.');
+      return;
+    }
+    sendSegmentBtn.disabled = true;
+    try {
+      // Chunked and resumable, so a flaky mobile link only costs the chunk in flight.
+      // Headers are read per request because our token rotates after a reconnect.
+      const json = await uploadResumable(pendingSegmentBlob, {
+        kind: 'segment',
+        filename: `segment-${Date.now()}.webm`,
+        fields: { title: segmentTitleInput.value.trim(), cueNotes: segmentCueInput.value.trim() },
+        headers: () => ({ 'X-Remote-Id': localID, 'X-Remote-Token': resumeToken }),
+        onProgress: (sent, total) => {
+          sendSegmentBtn.textContent = `Sending… ${Math.round((sent / total) * 100)}%`;
+        },
+      });
+      addSentSegment(json.segment);
+      hideSegmentForm();
+    } catch (err) {
+      console.error('[sports] Segment upload failed:', err);
+      alert(`Could not send segment: ${err.message}`);
+      sendSegmentBtn.disabled = false;
+    } finally {
+      sendSegmentBtn.textContent = 'Send to Studio';
+    }
+  }
+
+  function hideSegmentForm() {
+    pendingSegmentBlob = null;
+    segmentForm.classList.add('hidden');
+  }
+
+  function addSentSegment(segment) {
+    const li = document.createElement('li');
+    segmentListEl.prepend(li);
+    sentSegments.set(segment.id, { li, title: segment.title });
+    showSegmentStatus(segment.id, segment.status);
+  }
+
+  function showSegmentStatus(segmentId, status) {
+    const sent = sentSegments.get(segmentId);
+    if (!sent) return;
+    const labels = { pending: 'sent, awaiting review', approved: 'approved', rejected: 'rejected' };
+    sent.li.textContent = `“${sent.title}” – ${labels[status] || status}`;
+  }
+
   /////////////////////////////////////////////////////
   // Initialize WebSocket & event listeners
   /////////////////////////////////////////////////////
@@ -275,6 +443,10 @@
           type: 'join',
           role: 'sports-remote',
           name: reporterName,
+          room: roomName,
+          invite: invite ? invite.token : undefined,
+          resumeId: resumeToken ? localID : undefined,
+          resumeToken: resumeToken || undefined,
         })
       );
       // Start keepalives
@@ -293,10 +465,17 @@
     };
 
     ws.onclose = () => {
+      if (joinRejected) return;
       console.warn('[sports] WS closed. Reconnecting in 5 seconds...');
-      statusSpan.textContent = 'Disconnected (WS)';
       stopKeepalive();
       setTimeout(initWebSocket, 5000);
+      // With a resume token the server holds our ID and the studio keeps the call,
+      // so the PeerConnection is left running while we reconnect.
+      if (resumeToken) {
+        statusSpan.textContent = 'Reconnecting (WS)...';
+        return;
+      }
+      statusSpan.textContent = 'Disconnected (WS)';
       if (pc) {
         pc.close();
         pc = null;
@@ -327,16 +506,45 @@
         break;
 
       case 'id-assigned':
+        // { type:'id-assigned', id, room, resumeToken, resumed }
+        if (!msg.resumed && localID) {
+          // Too late to resume: we are a new remote, so drop the old call
+          ({ pc, micStream, audioSender, isTone } = closePeerConnection({ pc, micStream, isTone, stopTone: stopGlitsTone }));
+        }
         localID = msg.id;
-        console.log('[sports] Assigned localID:', localID);
-        statusSpan.textContent = 'Waiting for studio';
+        resumeToken = msg.resumeToken;
+        console.log(`[sports] ${msg.resumed ? 'Resumed' : 'Assigned'} localID:`, localID);
+        // (Re)attach to our match; the server answers with its current state
+        ws.send(JSON.stringify({ type: 'fixture-join', teamA: teamAName, teamB: teamBName }));
+        if (msg.resumed && pc && pc.connectionState === 'connected') {
+          statusSpan.textContent = 'Connected (WebRTC: connected)';
+        } else {
+          statusSpan.textContent = 'Waiting for studio';
+        }
+        break;
+
+      case 'join-rejected':
+        // { type:'join-rejected', reason } – e.g. expired invite link
+        joinRejected = true;
+        stopKeepalive();
+        statusSpan.textContent = 'Not admitted';
+        alert(`Unable to join: ${msg.reason}`);
         break;
 
       case 'start-call':
+        // Every call (including another studio taking over) gets a fresh PeerConnection
         statusSpan.textContent = 'Connecting (WebRTC)...';
+        ({ pc, micStream, audioSender, isTone } = closePeerConnection({ pc, micStream, isTone, stopTone: stopGlitsTone }));
         await startWebRTC();
         break;
 
+      case 'studio-disconnected':
+        // Owning studio hung up or left; wait for the next `start-call`
+        console.warn('[sports] Studio disconnected.');
+        ({ pc, micStream, audioSender, isTone } = closePeerConnection({ pc, micStream, isTone, stopTone: stopGlitsTone }));
+        statusSpan.textContent = 'Studio disconnected';
+        break;
+
       case 'answer':
         await handleAnswer(msg.sdp);
         break;
@@ -356,7 +564,14 @@
         break;
 
       case 'chat':
-        appendChatMessage(msg.from, msg.text, false);
+        // { type:'chat', fromId, name, text }
+        appendChatMessage(msg.name, msg.text, false);
+        break;
+
+      case 'error':
+        // { type:'error', code, ref, field?, message } – the server refused one of our messages
+        console.warn(`[sports] Server refused ${msg.ref}: ${msg.code}`, msg.message);
+        appendChatMessage('System', msg.message || `Server refused ${msg.ref} (${msg.code})`, false);
         break;
 
       case 'mute-update':
@@ -364,8 +579,19 @@
         applyRemoteMute(msg.muted);
         break;
 
+      case 'fixture-state':
+        // { type:'fixture-state', fixture, reporters }
+        applyFixtureState(msg.fixture);
+        break;
+
+      case 'segment-reviewed':
+        // { type:'segment-reviewed', id, title, status } – studio approved/rejected our segment
+        showSegmentStatus(msg.id, msg.status);
+        break;
+
       case 'goal-ack':
-        // Studio has acknowledged our goal
+        // { type:'goal-ack', goalId, by } – a studio has acknowledged our goal
+        console.log(`[sports] Goal acknowledged by ${msg.by}`);
         clearGoalIndicator();
         break;
 
@@ -401,7 +627,7 @@
 
     // Step 3: create PeerConnection if not exists
     if (!pc) {
-      pc = new RTCPeerConnection(ICE_CONFIG);
+      pc = new RTCPeerConnection(await getRTCConfig());
 
       // Receive studio audio
       pc.ontrack = (evt) => {
@@ -747,7 +973,6 @@
       console.log('[sports] Disabling GLITS tone');
       stopGlitsTone();
       isTone = false;
-      toneBtn.textContent = 'Send GLITS Tone';
     }
   }
 
@@ -822,6 +1047,7 @@
 
     micGain.gain.setValueAtTime(1, audioContext.currentTime);
     toneGain.gain.setValueAtTime(0, audioContext.currentTime);
+    toneBtn.textContent = 'Send GLITS Tone';
   }
 
   /////////////////////////////////////////////////////
@@ -869,8 +1095,7 @@
       JSON.stringify({
         type: 'chat',
         from: localID,
-        name: reporterName,
-        text: text,
+        text,
         target: 'studio',
       })
     );
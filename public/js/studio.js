@@ -1,130 +1,113 @@
 /**
- * public/js/remote.js (No Compression, Fixed GLITS Tone)
+ * public/js/studio.js
  *
- * - Two‐step remote flow:
- *    1. Prompt for name.
- *    2. Once name is submitted, reveal main UI, show displayName, set up a
- *       raw stereo/mono mic capture with optional GLITS tone, start WebSocket/RTC.
- *
- * - Listens for studio “mode‐update” messages to switch between:
- *     • speech → mono (1 channel)
- *     • music  → stereo (2 channels)
- *   Automatically re‐negotiates the connection when mode changes.
- *
- * - Listens for studio “bitrate-update” messages to adjust encoder bitrate.
- *
- * - All outgoing audio is raw (no compressor). GLITS tone can be toggled.
- *
- * - PPM meter always displays two bars (left + right). If only 1 channel is active,
- *   it displays the same data on both bars (mono display).
+ * - Requires an operator login (GET /session, else → login.html). The operator’s role
+ *   decides which controls are enabled; the server enforces the same permissions.
+ * - Joins the signalling server as role “studio” and keeps one RTCPeerConnection per remote.
+ * - Works within one named room (show) at a time, picked from ?room=, the room picker
+ *   or the last room used; switching rooms drops every card and re-joins.
+ * - For each remote announced via `new-remote`:
+ *   • Clones #remoteEntryTemplate into #remotesContainer.
+ *   • “Call” sends `ready-for-offer`; the remote replies with an offer which we answer.
+ *     While a call is up the same button hangs up (`release-remote`).
+ *   • The server routes a remote’s offers/ICE only to the studio that called it. If another
+ *     studio is on air with the remote the button becomes “Take Over”.
+ *   • “Mute” toggles the remote via `mute-remote`.
+ *   • Mode / Bitrate selects send `mode-update` / `bitrate-update` to that remote.
+ *   • “Toggle Stats” reveals the PPM meter plus jitter & bitrate graphs fed from getStats().
+ * - Studio mic is captured once, metered on #studioVuCanvas and sent back to every remote.
+ * - Every connected remote is summed into the “Remote Mix” meter.
+ * - Studio chat is broadcast to all remotes.
+ * - Producers create signed, expiring invite links (POST /invites) for the current room.
+ * - Segment inbox: recordings sent by sports reporters (GET /segments), grouped per
+ *   reporter (by name, which survives a reconnect) with player and cue notes, and a
+ *   waveform drawn from server-made peaks once it scrolls into view; producers approve
+ *   or reject them.
+ * - Multi‐track recording (mix + each remote) with waveform display & timer,
+ *   uploaded in resumable chunks (/uploads) when recording stops. “Add Marker” and
+ *   each sports goal drop a timestamped marker, saved with every file of that take.
+ *   A file whose upload fails (e.g. storage full) is kept as a local download link.
  */
 
 (() => {
-  // TURN/STUN configuration
-  const ICE_CONFIG = {
-    iceServers: [
-      {
-        urls: ['turn:turn.nkpa.co.uk:3478'],
-        username: 'webrtcuser',
-        credential: 'uS2h$2JW!hL3!E9yb1N1',
-      },
-    ],
-  };
+  const STUDIO_NAME = window.STUDIO_ID || 'Studio';
+  const STATS_INTERVAL_MS = 1000;
+  const ROOM_STORAGE_KEY = 'studio.room';
 
-  let ws = null;
-  let pc = null;
-  let micStream = null;       // Raw mic MediaStream
-  let audioContext = null;    // AudioContext for mic + tone + meter
-  let micGain = null;         // Gain node for mic
-  let gainLeft = null;        // Gain for GLITS left oscillator
-  let gainRight = null;       // Gain for GLITS right oscillator
-  let merger = null;          // ChannelMergerNode (2 inputs → stereo)
-  let processedStream = null; // MediaStream from merger
-  let audioSender = null;     // RTCRtpSender for outgoing audio
-  let localID = null;
-  let displayName = '';
-  let currentMode = 'music';  // 'music' (stereo) or 'speech' (mono)
-  let isMuted = false;
-  let isTone = false;
-
-  // GLITS‐tone oscillator nodes
-  let leftOsc = null;
-  let rightOsc = null;
-  let glitsInterval = null;
-
-  // DOM elements
-  let nameInput, nameSubmitBtn, nameStepDiv, mainUiDiv, displayNameDiv;
-  let statusSpan, muteBtn, toneBtn, listenStudioBtn, meterCanvas, meterContext;
-  let chatWindowEl, chatInputEl, sendChatBtn, audioStudioElem;
-
-  // PPM analyser
-  let analyserL = null;
-  let analyserR = null;
-
-  /////////////////////////////////////////////////////
-  // Step 1: Prompt for name
-  /////////////////////////////////////////////////////
-  function initNameStep() {
-    nameInput = document.getElementById('nameInput');
-    nameSubmitBtn = document.getElementById('nameSubmitBtn');
-    nameStepDiv = document.getElementById('name-step');
-    mainUiDiv = document.getElementById('main-ui');
-    displayNameDiv = document.getElementById('display-name');
-
-    nameSubmitBtn.onclick = () => {
-      const typedName = nameInput.value.trim();
-      if (!typedName) {
-        alert('Please enter your name before continuing.');
-        return;
-      }
-      displayName = typedName;
+  let currentRoom =
+    new URLSearchParams(window.location.search).get('room') ||
+    localStorage.getItem(ROOM_STORAGE_KEY) ||
+    'main';
 
-      // Hide name step, reveal main UI
-      nameStepDiv.classList.add('hidden');
-      mainUiDiv.classList.remove('hidden');
-      displayNameDiv.textContent = `Name: ${displayName}`;
-
-      // Initialize UI and WebSocket
-      initMainUI();
-      initWebSocket();
-    };
-  }
-
-  /////////////////////////////////////////////////////
-  // Step 2: Initialize main UI & event handlers
-  /////////////////////////////////////////////////////
-  function initMainUI() {
-    statusSpan = document.getElementById('connStatus');
-    muteBtn = document.getElementById('muteSelfBtn');
-    toneBtn = document.getElementById('toneBtn');
-    listenStudioBtn = document.getElementById('listenStudioBtn');
-    meterCanvas = document.getElementById('meter-canvas');
-    meterContext = meterCanvas.getContext('2d');
-    chatWindowEl = document.getElementById('chatWindow');
-    chatInputEl = document.getElementById('chatInput');
-    sendChatBtn = document.getElementById('sendChatBtn');
-    audioStudioElem = document.getElementById('audio-studio');
-
-    muteBtn.onclick = toggleMute;
-    toneBtn.onclick = toggleTone;
-    listenStudioBtn.onclick = toggleListenStudio;
-    sendChatBtn.onclick = sendChat;
-  }
+  let ws = null;
+  let studioId = null; // assigned by the server in `room-joined`
+  let studioResumeToken = null; // from `room-joined`; reclaims our ID and calls after a reconnect
+  let operator = null; // { username, role, permissions } from GET /session
+  let loggedOut = false; // stop reconnecting once the session is gone
+
+  // peers maps remoteId → {
+  //   name, kind, ownerId, ownerName, entryEl, statusEl, callBtn, muteBtn, statsEls, audioEl,
+  //   pc, pendingCandidates, mediaStream, audioContext, analyserL, analyserR,
+  //   mixSource, rafId, statsTimer, lastBytes, lastTimestamp,
+  //   bitrateHistory, jitterHistory, statsVisible, muted,
+  //   fixtureId, fixtureEl   (sports reporters only)
+  // }
+  const peers = new Map();
+  // fixtures maps fixtureId → live match state held by the server (see `fixture-state`)
+  const fixtures = new Map();
+  // goalAlerts maps goalId → { goal, el, realertTimer } until a studio acknowledges it
+  const goalAlerts = new Map();
+  const GOAL_REALERT_STORAGE_KEY = 'studio.goalRealertSeconds';
+  let goalRealertSeconds = Number(localStorage.getItem(GOAL_REALERT_STORAGE_KEY) || 30);
+  let alertAudioContext = null;
+  // segmentItems maps segmentId → { segment, el } for the inbox of the current room
+  const segmentItems = new Map();
+
+  // DOM references
+  let connStatusSpan, remotesContainer, remoteEntryTemplate;
+  let operatorInfoSpan, logoutBtn;
+  let roomInput, roomList, joinRoomBtn, currentRoomSpan;
+  let studioVuCanvas, remoteMixVuCanvas;
+  let chatWindowEl, chatInputEl, sendChatBtn;
+  let inviteNameInput, inviteRoleSelect, inviteExpirySelect, createInviteBtn;
+  let inviteLinkOutput, copyInviteBtn, inviteInfo;
+  let goalAlertList, goalAlertEmpty, goalAlertCount, goalRealertSelect;
+  let segmentInbox, segmentInboxEmpty, segmentInboxCount;
+
+  // Studio mic (talkback to remotes) and the summed remote mix
+  let studioMicStream = null;
+  let mixContext = null;
+  let mixAnalyserL = null;
+  let mixAnalyserR = null;
+  let mixInput = null;
+
+  // Recording controls
+  let recordBtn, stopRecordBtn, recorderTimerSpan, waveformCanvas;
+  let markerBtn, markerLabelInput;
+  let studioAudioContext, studioRecorder;
+  let remoteRecorders = new Map(); // remoteId → MediaRecorder
+  let mediaStreamsToRecord = new Map(); // remoteId → MediaStream
+  let recordingStartTime = null;
+  let recorderTimerInterval = null;
+  let recordingMarkers = null; // markers dropped during the current recording, else null
 
   /////////////////////////////////////////////////////
-  // Initialize WebSocket & event listeners
+  // Initialize WebSocket
   /////////////////////////////////////////////////////
   function initWebSocket() {
     ws = new WebSocket(`wss://${window.location.host}`);
     ws.onopen = () => {
-      console.log('[remote] WS opened');
-      statusSpan.textContent = 'connected (WS)';
-      // Send join with displayName
+      console.log('[studio] WS opened');
+      connStatusSpan.textContent = 'Connected';
+      // Announce self as studio; the server replies with a `new-remote` per contributor in the room
       ws.send(
         JSON.stringify({
           type: 'join',
-          role: 'remote',
-          name: displayName,
+          role: 'studio',
+          name: STUDIO_NAME,
+          room: currentRoom,
+          resumeId: studioId,
+          resumeToken: studioResumeToken,
         })
       );
     };
@@ -133,582 +116,1607 @@
       try {
         msg = JSON.parse(evt.data);
       } catch (err) {
-        console.error('[remote] Invalid JSON from server:', err);
+        console.error('[studio] Invalid JSON from server:', err);
         return;
       }
       handleSignalingMessage(msg);
     };
     ws.onclose = () => {
-      console.warn('[remote] WS closed. Reconnecting in 5 seconds...');
-      statusSpan.textContent = 'disconnected (WS)';
+      if (loggedOut) return;
+      console.warn('[studio] WS closed. Reconnecting in 5 seconds...');
+      connStatusSpan.textContent = 'Disconnected';
       setTimeout(initWebSocket, 5000);
-      if (pc) {
-        pc.close();
-        pc = null;
-      }
+      // Peers are kept: the server holds our calls for a grace window, and `room-joined`
+      // says whether we got them back
     };
     ws.onerror = (err) => {
-      console.error('[remote] WS error:', err);
+      console.error('[studio] WS error:', err);
       ws.close();
     };
   }
 
+  function sendSignal(msgObj) {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(msgObj));
+    } else {
+      console.warn('[studio] WS not open, cannot send:', msgObj.type);
+    }
+  }
+
+  /////////////////////////////////////////////////////
+  // Operator session & role permissions
+  /////////////////////////////////////////////////////
+  function can(permission) {
+    return !!operator && operator.permissions.includes(permission);
+  }
+
+  function redirectToLogin() {
+    loggedOut = true;
+    const next = window.location.pathname.replace(/^\//, '') + window.location.search;
+    window.location.href = `login.html?next=${encodeURIComponent(next)}`;
+  }
+
+  async function loadSession() {
+    try {
+      const resp = await fetch('/session');
+      if (resp.status === 401) {
+        redirectToLogin();
+        return false;
+      }
+      operator = await resp.json();
+    } catch (err) {
+      console.error('[studio] Error fetching session:', err);
+      connStatusSpan.textContent = 'Server unreachable';
+      return false;
+    }
+    if (operatorInfoSpan) {
+      operatorInfoSpan.textContent = `${operator.username} (${operator.role})`;
+    }
+    return true;
+  }
+
+  async function logout() {
+    loggedOut = true;
+    try {
+      await fetch('/logout', { method: 'POST' });
+    } catch (err) {
+      console.error('[studio] Logout error:', err);
+    }
+    if (ws) ws.close(1000); // a deliberate close: the server releases our calls straight away
+    redirectToLogin();
+  }
+
   /////////////////////////////////////////////////////
   // Handle incoming signaling messages
   /////////////////////////////////////////////////////
   async function handleSignalingMessage(msg) {
     switch (msg.type) {
-      case 'id-assigned':
-        // { type:'id-assigned', id }
-        localID = msg.id;
-        console.log('[remote] Assigned localID:', localID);
-        statusSpan.textContent = 'waiting for studio';
+      case 'join-rejected':
+        // { type:'join-rejected', reason } – session expired or missing
+        console.warn('[studio] Join rejected:', msg.reason);
+        redirectToLogin();
+        break;
+
+      case 'error':
+        // { type:'error', code, ref, message } – e.g. our role lacks a permission
+        console.warn(`[studio] Server refused ${msg.ref}: ${msg.code}`);
+        appendChatMessage('System', msg.message || `Server refused ${msg.ref} (${msg.code})`);
+        break;
+
+      case 'room-joined':
+        // { type:'room-joined', room, id, resumeToken, resumed, remoteIds } – server-normalised
+        // room name and our studio ID. After a reconnect, keep the cards (and calls) of remotes
+        // still in the room if our calls were held for us; otherwise they were released, so
+        // start again from the `new-remote`s that follow.
+        for (const remoteId of [...peers.keys()]) {
+          if (!msg.resumed || !msg.remoteIds.includes(remoteId)) removeRemote(remoteId);
+        }
+        currentRoom = msg.room;
+        studioId = msg.id;
+        studioResumeToken = msg.resumeToken;
+        localStorage.setItem(ROOM_STORAGE_KEY, currentRoom);
+        if (roomInput) {
+          roomInput.value = currentRoom;
+          currentRoomSpan.textContent = `(in “${currentRoom}”)`;
+        }
+        loadSegmentInbox();
         break;
 
-      case 'start-call':
-        // Studio asks us to start WebRTC
-        statusSpan.textContent = 'connecting (WebRTC)...';
-        await startWebRTC();
+      case 'new-remote':
+        // { type:'new-remote', id, name, kind: 'remote'|'sports', ownerId, ownerName, reconnecting }
+        console.log(`[studio] ${msg.kind === 'sports' ? 'Sports reporter' : 'Remote'} joined: ${msg.name}`);
+        addRemoteEntry(msg.id, msg.name, msg.kind);
+        // A call kept across our reconnect that was taken over or released meanwhile
+        if (peers.get(msg.id).pc && msg.ownerId !== studioId) endCall(msg.id);
+        setRemoteOwner(msg.id, msg.ownerId, msg.ownerName);
+        // (an existing card may have missed `remote-reconnected` while we were away)
+        setReconnecting(msg.id, !!msg.reconnecting);
         break;
 
-      case 'answer':
-        // { type:'answer', from:'studio', sdp }
-        await handleAnswer(msg.sdp);
+      case 'remote-reconnecting':
+        // { type:'remote-reconnecting', id } – its WebSocket dropped; the server holds its ID for a while
+        console.log(`[studio] Remote reconnecting: ${msg.id}`);
+        setReconnecting(msg.id, true);
+        break;
+
+      case 'remote-reconnected':
+        // { type:'remote-reconnected', id, name } – same remote, same card, call kept
+        console.log(`[studio] Remote reconnected: ${msg.name} (${msg.id})`);
+        setReconnecting(msg.id, false);
+        break;
+
+      case 'remote-owner':
+        // { type:'remote-owner', id, ownerId, ownerName } – who is on a call with this remote
+        setRemoteOwner(msg.id, msg.ownerId, msg.ownerName);
+        break;
+
+      case 'remote-busy':
+        // { type:'remote-busy', id, ownerId, ownerName } – our Call was refused
+        endCall(msg.id);
+        setRemoteOwner(msg.id, msg.ownerId, msg.ownerName);
+        break;
+
+      case 'remote-taken-over':
+        // { type:'remote-taken-over', id, byId, byName }
+        console.log(`[studio] ${msg.byName} took over remote ${msg.id}`);
+        endCall(msg.id);
+        setRemoteOwner(msg.id, msg.byId, msg.byName);
+        appendChatMessage('System', `${msg.byName} took over ${peers.has(msg.id) ? peers.get(msg.id).name : msg.id}.`);
+        break;
+
+      case 'offer':
+        // { type:'offer', from:remoteId, sdp }
+        await handleOffer(msg.from, msg.sdp);
         break;
 
       case 'candidate':
-        // { type:'candidate', from:'studio', candidate }
-        await handleCandidate(msg.candidate);
+        // { type:'candidate', from:remoteId, candidate }
+        await handleCandidate(msg.from, msg.candidate);
         break;
 
-      case 'mode-update':
-        // { type:'mode-update', mode: 'speech'|'music' }
-        console.log('[remote] Received mode-update:', msg.mode);
-        await applyMode(msg.mode);
+      case 'mute-update':
+        // { type:'mute-update', from:remoteId, muted } – remote muted/unmuted itself
+        handleRemoteMuteUpdate(msg.from, msg.muted);
         break;
 
-      case 'bitrate-update':
-        // { type:'bitrate-update', bitrate:<number> }
-        console.log('[remote] Received bitrate-update:', msg.bitrate);
-        setAudioBitrate(msg.bitrate);
+      case 'goal':
+        // { type:'goal', goalId, from:remoteId, name, teamA, teamB, scoreA, scoreB, at }
+        showGoalAlert(msg);
         break;
 
-      case 'studio-disconnected':
-        console.warn('[remote] Studio disconnected.');
-        statusSpan.textContent = 'studio disconnected';
+      case 'fixture-state':
+        // { type:'fixture-state', fixture:{ id, teamA, teamB, scoreA, scoreB, status, events }, reporters }
+        updateFixture(msg.fixture, msg.reporters);
+        break;
+
+      case 'goal-acked':
+        // { type:'goal-acked', id, goalId, by } – a studio in this room acknowledged the goal
+        clearGoalAlert(msg.id, msg.goalId);
+        break;
+
+      case 'segment-added':
+      case 'segment-updated':
+        // { type:'segment-added'|'segment-updated', segment } – new upload or review decision
+        if (msg.type === 'segment-added') {
+          appendChatMessage('System', `New segment from ${msg.segment.reporterName}: “${msg.segment.title}”`);
+        }
+        showSegment(msg.segment);
+        break;
+
+      case 'remote-disconnected':
+        // { type:'remote-disconnected', id }
+        console.log(`[studio] Remote disconnected: ${msg.id}`);
+        removeRemote(msg.id);
         break;
 
       case 'chat':
-        // { type:'chat', from:'studio', name:'Studio', message }
-        appendChatMessage(msg.name, msg.message, false);
+        // { type:'chat', fromId, name, text }
+        appendChatMessage(msg.name, msg.text);
         break;
 
       default:
-        console.warn('[remote] Unknown signaling message:', msg.type);
+        console.warn('[studio] Unknown signaling message:', msg.type);
     }
   }
 
   /////////////////////////////////////////////////////
-  // Start WebRTC: capture raw mic, build merger+tone graph, and connect
+  // Room picker
   /////////////////////////////////////////////////////
-  async function startWebRTC() {
-    // Step 1: capture mic with requested channel count based on currentMode
-    const channelCountMic = currentMode === 'speech' ? 1 : 2;
+  function switchRoom() {
+    const room = roomInput.value.trim() || 'main';
+    if (room === currentRoom) return;
+    if (studioRecorder) {
+      alert('Stop recording before switching rooms.');
+      return;
+    }
+    for (const remoteId of [...peers.keys()]) {
+      removeRemote(remoteId);
+    }
+    fixtures.clear();
+    clearAllGoalAlerts();
+    clearSegmentInbox();
+    currentRoom = room;
+    sendSignal({ type: 'join', role: 'studio', name: STUDIO_NAME, room: currentRoom });
+  }
 
+  async function refreshRoomList() {
     try {
-      micStream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          sampleRate: 48000,
-          channelCount: channelCountMic,
-        },
+      const resp = await fetch('/rooms');
+      const json = await resp.json();
+      roomList.innerHTML = '';
+      (json.rooms || []).forEach(({ name, remotes }) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.label = `${name} (${remotes} remote${remotes === 1 ? '' : 's'})`;
+        roomList.appendChild(option);
       });
     } catch (err) {
-      console.error('[remote] getUserMedia error:', err);
-      statusSpan.textContent = 'mic error';
-      return;
+      console.error('[studio] Error fetching rooms:', err);
     }
+  }
 
-    // Step 2: build a single AudioContext graph: micGain + GLITS gains → merger → dest
-    setupAudioGraph(channelCountMic);
+  /////////////////////////////////////////////////////
+  // Create the UI card for a newly announced remote
+  /////////////////////////////////////////////////////
+  function addRemoteEntry(remoteId, remoteName, kind = 'remote') {
+    if (peers.has(remoteId)) return;
+
+    const clone = remoteEntryTemplate.content.cloneNode(true);
+    const entryEl = clone.querySelector('.remote-entry');
+    entryEl.id = `remote-${remoteId}`;
+
+    const nameEl = entryEl.querySelector('.remote-name');
+    const statusEl = entryEl.querySelector('.remote-status');
+    const callBtn = entryEl.querySelector('.callRemoteBtn');
+    const muteBtn = entryEl.querySelector('.muteRemoteBtn');
+    const kickBtn = entryEl.querySelector('.kickRemoteBtn');
+    const modeSelect = entryEl.querySelector('.modeSelect');
+    const bitrateSelect = entryEl.querySelector('.bitrateSelect, .bitrateInput');
+    const toggleStatsBtn = entryEl.querySelector('.toggleStatsBtn');
+    const statsEls = {
+      meter: entryEl.querySelector('.remote-meter'),
+      jitter: entryEl.querySelector('.jitter-graph'),
+      bitrate: entryEl.querySelector('.bitrate-graph'),
+    };
 
-    // Step 3: create PeerConnection if not exists
-    if (!pc) {
-      pc = new RTCPeerConnection(ICE_CONFIG);
+    nameEl.textContent = remoteName;
+    statusEl.textContent = 'Waiting';
 
-      pc.ontrack = (evt) => {
-        const [incomingStream] = evt.streams;
-        if (!audioStudioElem.srcObject) {
-          audioStudioElem.srcObject = incomingStream;
-        }
-      };
+    // Sports reporters get a badge; their card flashes while one of their goals is unacknowledged
+    if (kind === 'sports') {
+      entryEl.classList.add('sports');
+      const badge = document.createElement('span');
+      badge.className = 'remote-kind';
+      badge.textContent = 'Sports';
+      nameEl.after(badge);
+    }
+
+    // Controls this operator’s role may not use stay visible but disabled
+    callBtn.disabled = !can('call');
+    muteBtn.disabled = !can('mute');
+    if (kickBtn) kickBtn.disabled = !can('kick');
+    modeSelect.disabled = !can('mode');
+    bitrateSelect.disabled = !can('bitrate');
+
+    // Remote audio is played through a hidden <audio> element; Chrome will not
+    // deliver samples to Web Audio for a remote stream that is not attached to one.
+    const audioEl = document.createElement('audio');
+    audioEl.autoplay = true;
+    audioEl.className = 'audio-hidden';
+    entryEl.appendChild(audioEl);
+
+    remotesContainer.appendChild(entryEl);
+
+    peers.set(remoteId, {
+      name: remoteName,
+      kind,
+      ownerId: null,
+      ownerName: null,
+      entryEl,
+      statusEl,
+      callBtn,
+      muteBtn,
+      statsEls,
+      audioEl,
+      pc: null,
+      pendingCandidates: [],
+      mediaStream: null,
+      audioContext: null,
+      analyserL: null,
+      analyserR: null,
+      mixSource: null,
+      rafId: null,
+      statsTimer: null,
+      lastBytes: null,
+      lastTimestamp: null,
+      bitrateHistory: [],
+      jitterHistory: [],
+      statsVisible: false,
+      muted: false,
+      fixtureId: null,
+      fixtureEl: null,
+    });
 
-      pc.onicecandidate = (evt) => {
-        if (evt.candidate) {
-          ws.send(
-            JSON.stringify({
-              type: 'candidate',
-              from: localID,
-              target: 'studio',
-              candidate: evt.candidate,
-            })
-          );
+    // Attach control handlers
+    callBtn.onclick = () => {
+      const peer = peers.get(remoteId);
+      if (!peer) return;
+      if (peer.pc) {
+        endCall(remoteId, { release: true });
+      } else {
+        const ownedElsewhere = !!peer.ownerId && peer.ownerId !== studioId;
+        if (ownedElsewhere && !confirm(`${peer.name} is on air in ${peer.ownerName}. Take over?`)) {
+          return;
         }
+        startCall(remoteId, ownedElsewhere);
+      }
+    };
+
+    muteBtn.onclick = () => {
+      const peer = peers.get(remoteId);
+      if (!peer) return;
+      sendSignal({ type: 'mute-remote', target: remoteId, muted: !peer.muted });
+      setMutedState(remoteId, !peer.muted);
+    };
+
+    if (kickBtn) {
+      kickBtn.onclick = () => {
+        sendSignal({ type: 'kick-remote', target: remoteId });
+        kickBtn.disabled = true;
       };
+    }
+
+    modeSelect.onchange = () => {
+      sendSignal({ type: 'mode-update', target: remoteId, mode: modeSelect.value });
+    };
+
+    bitrateSelect.onchange = () => {
+      const bitrate = parseInt(bitrateSelect.value, 10);
+      if (!Number.isFinite(bitrate) || bitrate <= 0) return;
+      sendSignal({ type: 'bitrate-update', target: remoteId, bitrate });
+    };
 
-      pc.onconnectionstatechange = () => {
-        const state = pc.connectionState;
-        statusSpan.textContent = `connected (WebRTC: ${state})`;
-        console.log('[remote] Connection state:', state);
+    if (toggleStatsBtn) {
+      toggleStatsBtn.onclick = () => {
+        const peer = peers.get(remoteId);
+        if (!peer) return;
+        peer.statsVisible = !peer.statsVisible;
+        Object.values(peer.statsEls).forEach((el) => {
+          if (el) el.style.display = peer.statsVisible ? 'inline-block' : 'none';
+        });
       };
-    } else {
-      // If PC exists from a previous call (mode-change), remove old sender
-      if (audioSender) {
-        pc.removeTrack(audioSender);
-        audioSender = null;
-      }
     }
+  }
 
-    // Step 4: add the merged (mic+tone) track
-    audioSender = pc.addTrack(processedStream.getAudioTracks()[0], processedStream);
+  /////////////////////////////////////////////////////
+  // Call a remote: build the PeerConnection and ask for an offer
+  /////////////////////////////////////////////////////
+  async function startCall(remoteId, takeover) {
+    const peer = peers.get(remoteId);
+    if (!peer || peer.pc || peer.callPending) return;
+
+    // ICE servers and TURN credentials come from the server (see common.js)
+    peer.callPending = true;
+    const rtcConfig = await getRTCConfig();
+    peer.callPending = false;
+    if (peers.get(remoteId) !== peer) return; // remote left while we waited
+
+    const pc = new RTCPeerConnection(rtcConfig);
+    peer.pc = pc;
+    peer.pendingCandidates = [];
+
+    pc.onicecandidate = (evt) => {
+      if (evt.candidate) {
+        sendSignal({
+          type: 'candidate',
+          from: 'studio',
+          target: 'remote',
+          targetId: remoteId,
+          candidate: evt.candidate,
+        });
+      }
+    };
 
-    // Step 5: set a default bitrate (studio can override)
-    setAudioBitrate(64000);
+    pc.onconnectionstatechange = () => {
+      const state = pc.connectionState;
+      peer.statusEl.textContent = state === 'connected' ? 'On air' : `WebRTC: ${state}`;
+      if (state === 'failed' || state === 'closed') {
+        endCall(remoteId, { release: true });
+        peer.statusEl.textContent = `Call ${state}`;
+      }
+    };
 
-    // Step 6: start the stereo PPM meter for processedStream
-    setupLocalMeter(processedStream);
+    pc.ontrack = (evt) => {
+      // We expect a single audio stream per remote
+      const [remoteStream] = evt.streams;
+      if (!remoteStream || peer.mediaStream === remoteStream) return;
+      attachRemoteStream(remoteId, remoteStream);
+    };
 
-    // Step 7: create offer → send to studio
-    let offer;
-    try {
-      offer = await pc.createOffer();
-      await pc.setLocalDescription(offer);
-    } catch (err) {
-      console.error('[remote] createOffer error:', err);
-      return;
-    }
+    peer.callBtn.textContent = 'Hang Up';
+    peer.statusEl.textContent = 'Calling…';
 
-    ws.send(
-      JSON.stringify({
-        type: 'offer',
-        from: localID,
-        sdp: pc.localDescription.sdp,
-      })
-    );
+    // Ask the remote to send us an offer; this also makes us its owning studio
+    sendSignal({ type: 'ready-for-offer', target: remoteId, takeover: !!takeover });
   }
 
   /////////////////////////////////////////////////////
-  // Build AudioContext graph WITHOUT compression:
-  // micGain + (leftOsc→gainLeft) + (rightOsc→gainRight) → merger → dest
+  // Hang up a remote but keep its card.
+  // `release` tells the server we no longer own the call; it is skipped when
+  // the call was taken from us or refused.
   /////////////////////////////////////////////////////
-  function setupAudioGraph(channelCountMic) {
-    // If there's an existing audioContext, close it
-    if (audioContext) {
-      audioContext.close();
-      audioContext = null;
-      analyserL = null;
-      analyserR = null;
-    }
+  function endCall(remoteId, { release = false } = {}) {
+    const peer = peers.get(remoteId);
+    if (!peer) return;
 
-    // 1) New AudioContext
-    audioContext = new (window.AudioContext || window.webkitAudioContext)({
-      sampleRate: 48000,
-    });
+    if (release && peer.pc) {
+      sendSignal({ type: 'release-remote', target: remoteId });
+    }
 
-    // 2) Create mic source and gain
-    const micSource = audioContext.createMediaStreamSource(micStream);
-    micGain = audioContext.createGain();
-    micGain.gain.value = 1; // mic on
-    micSource.connect(micGain);
+    if (peer.statsTimer) {
+      clearInterval(peer.statsTimer);
+      peer.statsTimer = null;
+    }
+    if (peer.rafId) {
+      cancelAnimationFrame(peer.rafId);
+      peer.rafId = null;
+    }
+    if (peer.mixSource) {
+      peer.mixSource.disconnect();
+      peer.mixSource = null;
+    }
+    if (peer.audioContext) {
+      peer.audioContext.close();
+      peer.audioContext = null;
+    }
+    if (peer.pc) {
+      const pc = peer.pc;
+      peer.pc = null;
+      pc.onconnectionstatechange = null;
+      pc.close();
+    }
 
-    // 3) Create separate gains for left & right GLITS oscillators
-    gainLeft = audioContext.createGain();
-    gainRight = audioContext.createGain();
-    gainLeft.gain.value = 0;  // tone off initially
-    gainRight.gain.value = 0; // tone off initially
+    peer.audioEl.srcObject = null;
+    peer.mediaStream = null;
+    peer.pendingCandidates = [];
+    peer.lastBytes = null;
+    peer.lastTimestamp = null;
+    peer.bitrateHistory = [];
+    peer.jitterHistory = [];
+    mediaStreamsToRecord.delete(remoteId);
 
-    // 4) Create merger (2-input → stereo)
-    merger = audioContext.createChannelMerger(2);
-    micGain.connect(merger, 0, 0);   // mic goes to left channel (for stereo mic, channelCountMic will route both channels appropriately)
-    // GLITS: when active, leftOsc→gainLeft→merger input0, rightOsc→gainRight→merger input1
-    gainLeft.connect(merger, 0, 0);
-    gainRight.connect(merger, 0, 1);
+    updateCallControls(peer);
+  }
 
-    // 5) Merger → destination
-    const destNode = audioContext.createMediaStreamDestination();
-    merger.connect(destNode);
+  /////////////////////////////////////////////////////
+  // Call ownership (which studio is on air with a remote)
+  /////////////////////////////////////////////////////
+  function setRemoteOwner(remoteId, ownerId, ownerName) {
+    const peer = peers.get(remoteId);
+    if (!peer) return;
+    peer.ownerId = ownerId || null;
+    peer.ownerName = ownerName || null;
+    if (!peer.pc) {
+      updateCallControls(peer);
+    }
+  }
 
-    // 6) processedStream from destNode
-    processedStream = destNode.stream;
+  function updateCallControls(peer) {
+    if (peer.pc) {
+      peer.callBtn.textContent = 'Hang Up';
+    } else if (peer.ownerId && peer.ownerId !== studioId) {
+      peer.callBtn.textContent = 'Take Over';
+      peer.statusEl.textContent = `On air in ${peer.ownerName}`;
+    } else {
+      peer.callBtn.textContent = 'Call';
+      peer.statusEl.textContent = 'Waiting';
+    }
   }
 
   /////////////////////////////////////////////////////
-  // Handle answer from studio
+  // Show a remote whose WebSocket dropped; its call is left running
   /////////////////////////////////////////////////////
-  async function handleAnswer(sdp) {
-    if (!pc) return;
-    try {
-      await pc.setRemoteDescription(new RTCSessionDescription({ type: 'answer', sdp }));
-      console.log('[remote] Remote description (answer) set');
-    } catch (err) {
-      console.error('[remote] setRemoteDescription error:', err);
+  function setReconnecting(remoteId, reconnecting) {
+    const peer = peers.get(remoteId);
+    if (!peer) return;
+    peer.entryEl.classList.toggle('reconnecting', reconnecting);
+    if (reconnecting) {
+      peer.statusEl.textContent = 'Reconnecting…';
+    } else if (peer.pc && peer.pc.connectionState === 'connected') {
+      peer.statusEl.textContent = 'On air';
+    } else {
+      updateCallControls(peer);
     }
   }
 
   /////////////////////////////////////////////////////
-  // Handle ICE candidate from studio
+  // Goal alerts from sports reporters: a queue (oldest first) with an
+  // attention sound, re-sounding until someone acknowledges each goal.
   /////////////////////////////////////////////////////
-  async function handleCandidate(candidate) {
-    if (!pc || !pc.remoteDescription) return;
+  function describeGoal(goal) {
+    const team = goal.team === 'B' ? goal.teamB : goal.teamA;
+    const scorer = goal.scorer ? ` – ${goal.scorer}` : '';
+    const minute = goal.minute !== null && goal.minute !== undefined ? ` ${goal.minute}'` : '';
+    return `GOAL ${team}${scorer}${minute}! ${goal.teamA} ${goal.scoreA}–${goal.scoreB} ${goal.teamB}`;
+  }
+
+  function showGoalAlert(goal) {
+    if (goalAlerts.has(goal.goalId)) return;
+    appendChatMessage('System', `${describeGoal(goal)} (reported by ${goal.name})`);
+
+    addRecordingMarker(describeGoal(goal), 'goal');
+
+    const goalAlert = { goal, el: null, realertTimer: null };
+    goalAlerts.set(goal.goalId, goalAlert);
+    if (goalAlertList) {
+      goalAlert.el = document.createElement('li');
+      goalAlert.el.className = 'goal-alert-item';
+      const text = document.createElement('span');
+      const time = document.createElement('span');
+      time.className = 'goal-alert-time';
+      time.textContent = new Date(goal.at).toLocaleTimeString();
+      text.appendChild(time);
+      text.appendChild(document.createTextNode(`${describeGoal(goal)} — ${goal.name}`));
+      const ackBtn = document.createElement('button');
+      ackBtn.className = 'btn';
+      ackBtn.textContent = 'Acknowledge';
+      ackBtn.disabled = !can('goal');
+      ackBtn.onclick = () => acknowledgeGoal(goal.goalId);
+      goalAlert.el.appendChild(text);
+      goalAlert.el.appendChild(ackBtn);
+
+      // Keep the queue in arrival order even if messages cross
+      goalAlert.el.dataset.at = goal.at;
+      const later = [...goalAlertList.children].find((li) => Number(li.dataset.at) > goal.at);
+      goalAlertList.insertBefore(goalAlert.el, later || null);
+    }
+
+    updateGoalAlertState(goal.from);
+    playGoalSound();
+    scheduleRealert(goalAlert);
+  }
+
+  function acknowledgeGoal(goalId) {
+    const goalAlert = goalAlerts.get(goalId);
+    if (!goalAlert) return;
+    if (!peers.has(goalAlert.goal.from)) {
+      // Reporter has gone; nobody to tell, so just clear it here
+      clearGoalAlert(goalAlert.goal.from, goalId);
+      return;
+    }
+    // The alert clears when the server confirms with `goal-acked`
+    sendSignal({ type: 'goal-ack', target: goalAlert.goal.from, goalId });
+  }
+
+  function clearGoalAlert(remoteId, goalId) {
+    const goalAlert = goalAlerts.get(goalId);
+    if (!goalAlert) return;
+    clearTimeout(goalAlert.realertTimer);
+    if (goalAlert.el) goalAlert.el.remove();
+    goalAlerts.delete(goalId);
+    updateGoalAlertState(remoteId);
+  }
+
+  function clearAllGoalAlerts() {
+    for (const [goalId, goalAlert] of [...goalAlerts]) {
+      clearGoalAlert(goalAlert.goal.from, goalId);
+    }
+  }
+
+  // Card flash + queue counter
+  function updateGoalAlertState(remoteId) {
+    const peer = peers.get(remoteId);
+    if (peer) {
+      const pending = [...goalAlerts.values()].some((goalAlert) => goalAlert.goal.from === remoteId);
+      peer.entryEl.classList.toggle('goal-alert', pending);
+    }
+    if (goalAlertCount) {
+      goalAlertCount.textContent = goalAlerts.size ? `(${goalAlerts.size})` : '';
+      goalAlertEmpty.classList.toggle('hidden', goalAlerts.size > 0);
+    }
+  }
+
+  function scheduleRealert(goalAlert) {
+    clearTimeout(goalAlert.realertTimer);
+    goalAlert.realertTimer = null;
+    if (!goalRealertSeconds) return;
+    goalAlert.realertTimer = setTimeout(() => {
+      if (!goalAlerts.has(goalAlert.goal.goalId)) return;
+      playGoalSound();
+      if (goalAlert.el) {
+        // Restart the flash animation
+        goalAlert.el.classList.remove('realert');
+        void goalAlert.el.offsetWidth;
+        goalAlert.el.classList.add('realert');
+      }
+      scheduleRealert(goalAlert);
+    }, goalRealertSeconds * 1000);
+  }
+
+  // Two-tone chime, generated so there is no audio file to load
+  function playGoalSound() {
     try {
-      await pc.addIceCandidate(new RTCIceCandidate(candidate));
+      if (!alertAudioContext) alertAudioContext = new AudioContext();
+      if (alertAudioContext.state === 'suspended') alertAudioContext.resume();
+      const start = alertAudioContext.currentTime;
+      [880, 1320, 880].forEach((freq, i) => {
+        const t = start + i * 0.2;
+        const osc = alertAudioContext.createOscillator();
+        const gain = alertAudioContext.createGain();
+        osc.frequency.value = freq;
+        gain.gain.setValueAtTime(0.0001, t);
+        gain.gain.exponentialRampToValueAtTime(0.3, t + 0.02);
+        gain.gain.exponentialRampToValueAtTime(0.0001, t + 0.18);
+        osc.connect(gain).connect(alertAudioContext.destination);
+        osc.start(t);
+        osc.stop(t + 0.2);
+      });
     } catch (err) {
-      console.error('[remote] addIceCandidate error:', err);
+      console.warn('[studio] Could not play goal alert sound:', err);
     }
   }
 
+  function initGoalAlerts() {
+    goalAlertList = document.getElementById('goalAlertList');
+    if (!goalAlertList) return; // studio1.html / studio2.html: alerts go to chat only
+    goalAlertEmpty = document.getElementById('goalAlertEmpty');
+    goalAlertCount = document.getElementById('goalAlertCount');
+    goalRealertSelect = document.getElementById('goalRealertSelect');
+
+    goalRealertSelect.value = String(goalRealertSeconds);
+    goalRealertSelect.onchange = () => {
+      goalRealertSeconds = Number(goalRealertSelect.value);
+      localStorage.setItem(GOAL_REALERT_STORAGE_KEY, String(goalRealertSeconds));
+      goalAlerts.forEach(scheduleRealert);
+    };
+  }
+
   /////////////////////////////////////////////////////
-  // Apply a new mode: 'speech' (mono) or 'music' (stereo)
-  // Re‐capture, reconnect micGain→merger, and renegotiate.
+  // Segment inbox: reporter uploads for this room, one group per reporter,
+  // newest first. Producers approve or reject; the reporter is told.
   /////////////////////////////////////////////////////
-  async function applyMode(newMode) {
-    if (newMode !== 'speech' && newMode !== 'music') return;
-    if (currentMode === newMode) return;
-    currentMode = newMode;
-    if (!pc) return; // If WebRTC not started yet, startWebRTC will use updated currentMode
+  const SEGMENT_PEAKS_RETRY_MS = 3000;
+
+  // Waveforms are fetched only for segments (nearly) on screen
+  const segmentWaveformObserver = new IntersectionObserver(
+    (entries) => {
+      entries.forEach((entry) => {
+        if (!entry.isIntersecting) return;
+        segmentWaveformObserver.unobserve(entry.target);
+        drawSegmentWaveform(entry.target.dataset.segmentId, entry.target);
+      });
+    },
+    { rootMargin: '200px' }
+  );
 
-    // 1) Stop existing mic tracks
-    if (micStream) {
-      micStream.getTracks().forEach((t) => t.stop());
-      micStream = null;
-    }
+  // Group key: the reporter's name, since their remote ID changes whenever they reconnect
+  function reporterKey(segment) {
+    return String(segment.reporterName || '').trim().toLowerCase();
+  }
 
-    // 2) Request new mic capture
-    const channelCountMic = currentMode === 'speech' ? 1 : 2;
+  async function loadSegmentInbox() {
+    if (!segmentInbox) return;
+    const room = currentRoom;
     try {
-      micStream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          sampleRate: 48000,
-          channelCount: channelCountMic,
-        },
-      });
+      const resp = await fetch(`/segments?room=${encodeURIComponent(room)}`);
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const { segments } = await resp.json();
+      if (room !== currentRoom) return; // switched rooms while loading
+      clearSegmentInbox();
+      // Oldest first so each newer one is prepended above it
+      segments.reverse().forEach(showSegment);
     } catch (err) {
-      console.error('[remote] getUserMedia (mode-change) error:', err);
-      return;
+      console.error('[studio] Could not load segment inbox:', err);
     }
+  }
 
-    // 3) Reconnect new mic to micGain
-    const micSource = audioContext.createMediaStreamSource(micStream);
-    micGain.disconnect();
-    micSource.connect(micGain);
+  function clearSegmentInbox() {
+    if (!segmentInbox) return;
+    segmentItems.clear();
+    segmentInbox.innerHTML = '';
+    updateSegmentInboxState();
+  }
+
+  function showSegment(segment) {
+    if (!segmentInbox || segment.room !== currentRoom) return;
+    const existing = segmentItems.get(segment.id);
+    if (existing) {
+      existing.segment = segment;
+      updateSegmentStatus(existing);
+      return;
+    }
 
-    // If tone not active, ensure micGain=1, both gains off
-    if (!isTone) {
-      micGain.gain.setValueAtTime(1, audioContext.currentTime);
-      gainLeft.gain.setValueAtTime(0, audioContext.currentTime);
-      gainRight.gain.setValueAtTime(0, audioContext.currentTime);
+    let group = segmentInbox.querySelector(`[data-reporter="${CSS.escape(reporterKey(segment))}"]`);
+    if (!group) {
+      group = document.createElement('div');
+      group.className = 'segment-group';
+      group.dataset.reporter = reporterKey(segment);
+      const heading = document.createElement('div');
+      heading.className = 'segment-reporter';
+      heading.textContent = segment.reporterName;
+      const list = document.createElement('ul');
+      list.className = 'segment-list';
+      group.appendChild(heading);
+      group.appendChild(list);
+    }
+    // Most recently active reporter at the top
+    segmentInbox.prepend(group);
+
+    const el = document.createElement('li');
+    el.className = 'segment-item';
+
+    const header = document.createElement('div');
+    header.className = 'flex-row justify-between align-center';
+    const title = document.createElement('span');
+    const time = document.createElement('span');
+    time.className = 'segment-time';
+    time.textContent = new Date(segment.createdAt).toLocaleTimeString();
+    title.appendChild(time);
+    title.appendChild(document.createTextNode(segment.title));
+    const status = document.createElement('span');
+    status.className = 'segment-status';
+    header.appendChild(title);
+    header.appendChild(status);
+    el.appendChild(header);
+
+    if (segment.cueNotes) {
+      const notes = document.createElement('div');
+      notes.className = 'segment-notes';
+      notes.textContent = segment.cueNotes;
+      el.appendChild(notes);
     }
 
-    // 4) Replace outgoing track and renegotiate
-    const newTrack = processedStream.getAudioTracks()[0];
-    if (audioSender) {
-      audioSender.replaceTrack(newTrack);
+    const canvas = document.createElement('canvas');
+    canvas.className = 'segment-waveform';
+    canvas.width = 600;
+    canvas.height = 48;
+    canvas.dataset.segmentId = segment.id;
+    el.appendChild(canvas);
+
+    const controls = document.createElement('div');
+    controls.className = 'flex-row align-center gap-10';
+    const audioEl = document.createElement('audio');
+    audioEl.controls = true;
+    audioEl.preload = 'none';
+    audioEl.src = `/segments/${encodeURIComponent(segment.id)}/audio`;
+    const approveBtn = document.createElement('button');
+    approveBtn.className = 'btn';
+    approveBtn.textContent = 'Approve';
+    approveBtn.onclick = () => reviewSegment(segment.id, 'approved');
+    const rejectBtn = document.createElement('button');
+    rejectBtn.className = 'btn';
+    rejectBtn.textContent = 'Reject';
+    rejectBtn.onclick = () => reviewSegment(segment.id, 'rejected');
+    controls.appendChild(audioEl);
+    controls.appendChild(approveBtn);
+    controls.appendChild(rejectBtn);
+    el.appendChild(controls);
+
+    group.querySelector('.segment-list').prepend(el);
+    const item = { segment, el, status, approveBtn, rejectBtn };
+    segmentItems.set(segment.id, item);
+    updateSegmentStatus(item);
+    updateSegmentInboxState();
+    segmentWaveformObserver.observe(canvas);
+  }
+
+  function updateSegmentStatus(item) {
+    const { segment } = item;
+    const labels = { pending: 'Awaiting review', approved: 'Approved', rejected: 'Rejected' };
+    item.status.textContent = segment.reviewedBy
+      ? `${labels[segment.status]} by ${segment.reviewedBy}`
+      : labels[segment.status] || segment.status;
+    item.el.dataset.status = segment.status;
+    item.approveBtn.disabled = !can('review') || segment.status === 'approved';
+    item.rejectBtn.disabled = !can('review') || segment.status === 'rejected';
+    updateSegmentInboxState();
+  }
+
+  function updateSegmentInboxState() {
+    const pending = [...segmentItems.values()].filter((item) => item.segment.status === 'pending').length;
+    segmentInboxCount.textContent = pending ? `(${pending} to review)` : '';
+    segmentInboxEmpty.classList.toggle('hidden', segmentItems.size > 0);
+  }
+
+  async function reviewSegment(segmentId, status) {
+    try {
+      const resp = await fetch(`/segments/${encodeURIComponent(segmentId)}/review`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status }),
+      });
+      const json = await resp.json();
+      if (!resp.ok) throw new Error(json.error || `HTTP ${resp.status}`);
+      // Every studio in the room (us included) also gets `segment-updated`
+      showSegment(json.segment);
+    } catch (err) {
+      console.error('[studio] Segment review failed:', err);
+      alert(`Could not update segment: ${err.message}`);
     }
+  }
 
+  // Draw the segment's peaks (GET /segments/:id/peaks: min/max per bucket, first channel),
+  // waiting while the server is still making them
+  async function drawSegmentWaveform(segmentId, canvas) {
     try {
-      const offer = await pc.createOffer();
-      await pc.setLocalDescription(offer);
-      ws.send(
-        JSON.stringify({
-          type: 'offer',
-          from: localID,
-          sdp: pc.localDescription.sdp,
-        })
-      );
+      const resp = await fetch(`/segments/${encodeURIComponent(segmentId)}/peaks`);
+      if (resp.status === 202) {
+        if (canvas.isConnected) setTimeout(() => drawSegmentWaveform(segmentId, canvas), SEGMENT_PEAKS_RETRY_MS);
+        return;
+      }
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const peaks = await resp.json();
+
+      const data = peaks.data[0];
+      const ctx = canvas.getContext('2d');
+      const { width, height } = canvas;
+      const scale = height / 2 / 127;
+      ctx.fillStyle = '#222';
+      ctx.fillRect(0, 0, width, height);
+      ctx.fillStyle = '#0f0';
+      for (let x = 0; x < width; x++) {
+        const first = Math.floor((x * peaks.buckets) / width);
+        const last = Math.max(first + 1, Math.floor(((x + 1) * peaks.buckets) / width));
+        let min = 0;
+        let max = 0;
+        for (let b = first; b < last && b < peaks.buckets; b++) {
+          min = Math.min(min, data[b * 2]);
+          max = Math.max(max, data[b * 2 + 1]);
+        }
+        ctx.fillRect(x, height / 2 - max * scale, 1, Math.max(1, (max - min) * scale));
+      }
     } catch (err) {
-      console.error('[remote] Reoffer error (mode-change):', err);
+      console.warn(`[studio] Could not draw waveform for segment ${segmentId}:`, err);
     }
   }
 
+  function initSegmentInbox() {
+    segmentInbox = document.getElementById('segmentInbox');
+    if (!segmentInbox) return; // studio1.html / studio2.html: no inbox
+    segmentInboxEmpty = document.getElementById('segmentInboxEmpty');
+    segmentInboxCount = document.getElementById('segmentInboxCount');
+  }
+
   /////////////////////////////////////////////////////
-  // Create a stereo PPM meter on processedStream
+  // Live match state: show each reporter's score on their card
   /////////////////////////////////////////////////////
-  function setupLocalMeter(stream) {
-    // Create a NEW AudioContext solely for metering
-    const meterContextAudio = new (window.AudioContext || window.webkitAudioContext)({
-      sampleRate: 48000,
+  function updateFixture(fixture, reporterIds) {
+    fixtures.set(fixture.id, fixture);
+    const fullTime = fixture.status === 'full-time' ? ' (FT)' : '';
+    const scoreLine = `${fixture.teamA} ${fixture.scoreA}–${fixture.scoreB} ${fixture.teamB}${fullTime}`;
+    reporterIds.forEach((remoteId) => {
+      const peer = peers.get(remoteId);
+      if (!peer) return;
+      peer.fixtureId = fixture.id;
+      if (!peer.fixtureEl) {
+        peer.fixtureEl = document.createElement('div');
+        peer.fixtureEl.className = 'remote-fixture';
+        const header = peer.entryEl.querySelector('.remote-header');
+        if (header) header.after(peer.fixtureEl);
+        else peer.entryEl.prepend(peer.fixtureEl);
+      }
+      peer.fixtureEl.textContent = scoreLine;
     });
-    const source = meterContextAudio.createMediaStreamSource(stream);
-    const splitter = meterContextAudio.createChannelSplitter(2);
+  }
 
-    analyserL = meterContextAudio.createAnalyser();
-    analyserL.fftSize = 256;
-    analyserR = meterContextAudio.createAnalyser();
-    analyserR.fftSize = 256;
+  /////////////////////////////////////////////////////
+  // Remove a remote entirely (disconnected, or its call was released while we were away)
+  /////////////////////////////////////////////////////
+  function removeRemote(remoteId) {
+    const peer = peers.get(remoteId);
+    if (!peer) return;
 
-    source.connect(splitter);
-    splitter.connect(analyserL, 0);
-    splitter.connect(analyserR, 1);
+    endCall(remoteId);
 
-    drawStereoMeter();
+    if (peer.entryEl.parentNode === remotesContainer) {
+      remotesContainer.removeChild(peer.entryEl);
+    }
+    peers.delete(remoteId);
   }
 
-  function drawStereoMeter() {
-    if (!analyserL || !analyserR) return;
-
-    const bufferLength = analyserL.frequencyBinCount;
-    const dataArrayL = new Uint8Array(bufferLength);
-    const dataArrayR = new Uint8Array(bufferLength);
+  /////////////////////////////////////////////////////
+  // Handle incoming offer from remote, send answer
+  /////////////////////////////////////////////////////
+  async function handleOffer(remoteId, sdp) {
+    const peer = peers.get(remoteId);
+    if (!peer || !peer.pc) {
+      console.warn(`[studio] Offer from ${remoteId} without an active call; ignoring.`);
+      return;
+    }
+    const { pc } = peer;
 
-    function draw() {
-      analyserL.getByteFrequencyData(dataArrayL);
-      analyserR.getByteFrequencyData(dataArrayR);
+    try {
+      await pc.setRemoteDescription(new RTCSessionDescription({ type: 'offer', sdp }));
 
-      let sumL = 0,
-        sumR = 0;
-      for (let i = 0; i < bufferLength; i++) {
-        sumL += dataArrayL[i] * dataArrayL[i];
-        sumR += dataArrayR[i] * dataArrayR[i];
+      // Send studio mic back on the remote’s audio transceiver (talkback)
+      if (studioMicStream) {
+        const micTrack = studioMicStream.getAudioTracks()[0];
+        if (micTrack && !pc.getSenders().some((s) => s.track === micTrack)) {
+          pc.addTrack(micTrack, studioMicStream);
+        }
       }
-      const rmsL = Math.sqrt(sumL / bufferLength) / 255;
-      const rmsR = Math.sqrt(sumR / bufferLength) / 255;
-
-      const width = meterCanvas.width;
-      const height = meterCanvas.height;
-      meterContext.clearRect(0, 0, width, height);
 
-      // Left channel (green) on top half
-      const barWidthL = Math.round(rmsL * width);
-      meterContext.fillStyle = '#4caf50';
-      meterContext.fillRect(0, 0, barWidthL, height / 2 - 2);
-
-      // Right channel (blue) on bottom half
-      const barWidthR = Math.round(rmsR * width);
-      meterContext.fillStyle = '#2196f3';
-      meterContext.fillRect(0, height / 2 + 2, barWidthR, height / 2 - 2);
+      const answer = await pc.createAnswer();
+      await pc.setLocalDescription(answer);
+      sendSignal({
+        type: 'answer',
+        from: 'studio',
+        target: remoteId,
+        sdp: pc.localDescription.sdp,
+      });
 
-      requestAnimationFrame(draw);
+      // Candidates that arrived before the offer can be applied now
+      const queued = peer.pendingCandidates;
+      peer.pendingCandidates = [];
+      for (const candidate of queued) {
+        await pc.addIceCandidate(new RTCIceCandidate(candidate));
+      }
+    } catch (err) {
+      console.error(`[studio] Error handling offer from ${remoteId}:`, err);
     }
-    draw();
   }
 
   /////////////////////////////////////////////////////
-  // Set outgoing audio bitrate on RTCRtpSender
+  // Handle incoming ICE candidate from remote
   /////////////////////////////////////////////////////
-  async function setAudioBitrate(bitrate) {
-    if (!audioSender) {
-      console.warn('[remote] Audio sender not yet ready for bitrate change');
+  async function handleCandidate(remoteId, candidate) {
+    const peer = peers.get(remoteId);
+    if (!peer || !peer.pc || !candidate) return;
+    if (!peer.pc.remoteDescription) {
+      peer.pendingCandidates.push(candidate);
       return;
     }
-    const params = audioSender.getParameters();
-    if (!params.encodings) params.encodings = [{}];
-    params.encodings.forEach((enc) => {
-      enc.maxBitrate = bitrate;
-    });
     try {
-      await audioSender.setParameters(params);
-      console.log(`[remote] Audio bitrate set to ${bitrate} bps`);
-      statusSpan.textContent = `bitrate set to ${Math.round(bitrate / 1000)} kbps`;
+      await peer.pc.addIceCandidate(new RTCIceCandidate(candidate));
     } catch (err) {
-      console.error('[remote] setParameters error:', err);
+      console.error(`[studio] Error adding ICE candidate for ${remoteId}:`, err);
     }
   }
 
   /////////////////////////////////////////////////////
-  // Toggle mute/unmute (remote → studio)
+  // Mute state (studio-imposed or remote self-mute)
   /////////////////////////////////////////////////////
-  function toggleMute() {
-    if (!audioSender) return;
-    isMuted = !isMuted;
-    const track = isMuted ? null : processedStream.getAudioTracks()[0];
-    audioSender.replaceTrack(track);
-
-    ws.send(
-      JSON.stringify({
-        type: 'mute-update',
-        from: localID,
-        target: 'studio',
-        muted: isMuted,
-      })
-    );
+  function setMutedState(remoteId, muted) {
+    const peer = peers.get(remoteId);
+    if (!peer) return;
+    peer.muted = muted;
+    peer.muteBtn.textContent = muted ? 'Unmute' : 'Mute';
+    peer.entryEl.classList.toggle('muted', muted);
+  }
 
-    muteBtn.textContent = isMuted ? 'Unmute Myself' : 'Mute Myself';
+  function handleRemoteMuteUpdate(remoteId, muted) {
+    const peer = peers.get(remoteId);
+    if (!peer) return;
+    setMutedState(remoteId, !!muted);
+    peer.statusEl.textContent = muted ? 'Muted by remote' : 'On air';
   }
 
   /////////////////////////////////////////////////////
-  // Toggle listen to studio audio
+  // Remote media: playback, PPM meter, remote mix, stats
   /////////////////////////////////////////////////////
-  function toggleListenStudio() {
-    if (!audioStudioElem.srcObject) {
-      alert('You are not yet connected to studio audio.');
+  function attachRemoteStream(remoteId, remoteStream) {
+    const peer = peers.get(remoteId);
+    if (!peer) return;
+
+    peer.mediaStream = remoteStream;
+    peer.audioEl.srcObject = remoteStream;
+
+    // Store the remote’s stream for recording
+    mediaStreamsToRecord.set(remoteId, remoteStream);
+
+    // Per-remote AudioContext + AnalyserNodes for the PPM meter
+    if (peer.audioContext) {
+      peer.audioContext.close();
+    }
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)({
+      sampleRate: 48000,
+    });
+    const sourceNode = audioContext.createMediaStreamSource(remoteStream);
+    const splitter = audioContext.createChannelSplitter(2);
+    peer.analyserL = audioContext.createAnalyser();
+    peer.analyserL.fftSize = 256;
+    peer.analyserR = audioContext.createAnalyser();
+    peer.analyserR.fftSize = 256;
+    sourceNode.connect(splitter);
+    splitter.connect(peer.analyserL, 0);
+    splitter.connect(peer.analyserR, 1);
+    peer.audioContext = audioContext;
+
+    // Feed the remote mix meter
+    ensureMixContext();
+    if (peer.mixSource) {
+      peer.mixSource.disconnect();
+    }
+    peer.mixSource = mixContext.createMediaStreamSource(remoteStream);
+    peer.mixSource.connect(mixInput);
+
+    // Start drawing the two‐channel meter
+    const meterCanvas = peer.statsEls.meter && peer.statsEls.meter.querySelector('canvas');
+    if (peer.rafId) {
+      cancelAnimationFrame(peer.rafId);
+    }
+    function drawMeter() {
+      if (meterCanvas && peer.statsVisible) {
+        drawStereoBars(meterCanvas, peer.analyserL, peer.analyserR);
+      }
+      peer.rafId = requestAnimationFrame(drawMeter);
+    }
+    drawMeter();
+
+    // Poll getStats() for the jitter & bitrate graphs
+    if (peer.statsTimer) {
+      clearInterval(peer.statsTimer);
+    }
+    peer.statsTimer = setInterval(() => pollStats(remoteId), STATS_INTERVAL_MS);
+  }
+
+  async function pollStats(remoteId) {
+    const peer = peers.get(remoteId);
+    if (!peer || !peer.pc) return;
+
+    let stats;
+    try {
+      stats = await peer.pc.getStats();
+    } catch (err) {
+      console.error(`[studio] getStats error for ${remoteId}:`, err);
       return;
     }
-    audioStudioElem.muted = !audioStudioElem.muted;
-    listenStudioBtn.textContent = audioStudioElem.muted
-      ? 'Listen to Studio'
-      : 'Mute Studio Audio';
+
+    stats.forEach((report) => {
+      if (report.type !== 'inbound-rtp' || report.kind !== 'audio') return;
+
+      // bytes per ms × 8 → kbps
+      if (peer.lastBytes !== null && report.timestamp > peer.lastTimestamp) {
+        const kbps = ((report.bytesReceived - peer.lastBytes) * 8) / (report.timestamp - peer.lastTimestamp);
+        pushHistory(peer.bitrateHistory, kbps);
+      }
+      peer.lastBytes = report.bytesReceived;
+      peer.lastTimestamp = report.timestamp;
+
+      if (typeof report.jitter === 'number') {
+        pushHistory(peer.jitterHistory, report.jitter * 1000);
+      }
+    });
+
+    if (peer.statsVisible) {
+      const { bitrate, jitter } = peer.statsEls;
+      drawStatGraph(bitrate && bitrate.querySelector('canvas'), peer.bitrateHistory, '#2196f3');
+      drawStatGraph(jitter && jitter.querySelector('canvas'), peer.jitterHistory, '#ffeb3b');
+    }
+  }
+
+  function pushHistory(history, value) {
+    history.push(value);
+    // Keep one sample per horizontal pixel of the (small) stats canvases
+    if (history.length > 200) {
+      history.shift();
+    }
   }
 
   /////////////////////////////////////////////////////
-  // Toggle GLITS Tone (always stereo)
+  // Drawing helpers
   /////////////////////////////////////////////////////
-  function toggleTone() {
-    if (!audioSender) {
-      console.warn('[remote] Cannot send tone: audioSender not ready');
+  function drawStereoBars(canvas, analyserL, analyserR) {
+    if (!canvas || !analyserL || !analyserR) return;
+    const ctx = canvas.getContext('2d');
+    const bufferLength = analyserL.frequencyBinCount;
+    const dataArrayL = new Uint8Array(bufferLength);
+    const dataArrayR = new Uint8Array(bufferLength);
+
+    analyserL.getByteFrequencyData(dataArrayL);
+    analyserR.getByteFrequencyData(dataArrayR);
+
+    let sumL = 0,
+      sumR = 0;
+    for (let i = 0; i < bufferLength; i++) {
+      sumL += dataArrayL[i] * dataArrayL[i];
+      sumR += dataArrayR[i] * dataArrayR[i];
+    }
+    const rmsL = Math.sqrt(sumL / bufferLength) / 255;
+    const rmsR = Math.sqrt(sumR / bufferLength) / 255;
+
+    const width = canvas.width;
+    const height = canvas.height;
+    ctx.clearRect(0, 0, width, height);
+
+    // Top half: left channel (green)
+    ctx.fillStyle = '#4caf50';
+    ctx.fillRect(0, 0, Math.round(rmsL * width), height / 2 - 1);
+
+    // Bottom half: right channel (blue)
+    ctx.fillStyle = '#2196f3';
+    ctx.fillRect(0, height / 2 + 1, Math.round(rmsR * width), height / 2 - 1);
+  }
+
+  function drawStatGraph(canvas, history, color) {
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    ctx.clearRect(0, 0, width, height);
+    if (history.length < 2) return;
+
+    const visible = history.slice(-width);
+    const max = Math.max(...visible, 1);
+
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    visible.forEach((value, i) => {
+      const x = width - visible.length + i;
+      const y = height - (value / max) * (height - 2) - 1;
+      if (i === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    });
+    ctx.stroke();
+
+    // Latest value in the corner
+    ctx.fillStyle = '#e0e0e0';
+    ctx.font = '9px sans-serif';
+    ctx.fillText(String(Math.round(visible[visible.length - 1])), 2, 9);
+  }
+
+  /////////////////////////////////////////////////////
+  // Studio mic (talkback) & remote mix meters
+  /////////////////////////////////////////////////////
+  async function initStudioMic() {
+    try {
+      studioMicStream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+          sampleRate: 48000,
+          channelCount: 2,
+        },
+      });
+    } catch (err) {
+      console.warn('[studio] Studio mic unavailable, remotes will not hear the studio:', err);
       return;
     }
 
-    if (!isTone) {
-      console.log('[remote] Enabling GLITS tone');
-      startGlitsTone();
-      isTone = true;
-      toneBtn.textContent = 'Stop GLITS Tone';
-    } else {
-      console.log('[remote] Disabling GLITS tone');
-      stopGlitsTone();
-      isTone = false;
-      toneBtn.textContent = 'Send GLITS Tone';
+    const micContext = new (window.AudioContext || window.webkitAudioContext)({
+      sampleRate: 48000,
+    });
+    const source = micContext.createMediaStreamSource(studioMicStream);
+    const splitter = micContext.createChannelSplitter(2);
+    const analyserL = micContext.createAnalyser();
+    analyserL.fftSize = 256;
+    const analyserR = micContext.createAnalyser();
+    analyserR.fftSize = 256;
+    source.connect(splitter);
+    splitter.connect(analyserL, 0);
+    splitter.connect(analyserR, 1);
+
+    function draw() {
+      drawStereoBars(studioVuCanvas, analyserL, analyserR);
+      requestAnimationFrame(draw);
     }
+    draw();
+  }
+
+  function ensureMixContext() {
+    if (mixContext) return;
+    mixContext = new (window.AudioContext || window.webkitAudioContext)({
+      sampleRate: 48000,
+    });
+    mixInput = mixContext.createGain();
+    const splitter = mixContext.createChannelSplitter(2);
+    mixAnalyserL = mixContext.createAnalyser();
+    mixAnalyserL.fftSize = 256;
+    mixAnalyserR = mixContext.createAnalyser();
+    mixAnalyserR.fftSize = 256;
+    mixInput.connect(splitter);
+    splitter.connect(mixAnalyserL, 0);
+    splitter.connect(mixAnalyserR, 1);
+
+    function draw() {
+      drawStereoBars(remoteMixVuCanvas, mixAnalyserL, mixAnalyserR);
+      requestAnimationFrame(draw);
+    }
+    draw();
   }
 
   /////////////////////////////////////////////////////
-  // Start GLITS Tone through the raw merger graph
+  // Chat
   /////////////////////////////////////////////////////
-  function startGlitsTone() {
-    if (!audioContext || !gainLeft || !gainRight) {
-      console.warn('[remote] audioContext or gain nodes not set; cannot start tone');
+  function appendChatMessage(senderName, text) {
+    const div = document.createElement('div');
+    div.className = 'chat-message';
+    const strong = document.createElement('strong');
+    strong.textContent = `${senderName || 'Unknown'}:`;
+    div.appendChild(strong);
+    div.appendChild(document.createTextNode(` ${text || ''}`));
+    chatWindowEl.appendChild(div);
+    chatWindowEl.scrollTop = chatWindowEl.scrollHeight;
+  }
+
+  function sendChat() {
+    const text = chatInputEl.value.trim();
+    if (!text) return;
+    sendSignal({
+      type: 'chat',
+      fromId: 'studio',
+      name: STUDIO_NAME,
+      text,
+      target: 'all',
+    });
+    appendChatMessage('You', text);
+    chatInputEl.value = '';
+  }
+
+  /////////////////////////////////////////////////////
+  // Invite links
+  /////////////////////////////////////////////////////
+  async function createInvite() {
+    const name = inviteNameInput.value.trim();
+    if (!name) {
+      alert('Enter the contributor’s name first.');
       return;
     }
+    createInviteBtn.disabled = true;
+    try {
+      const resp = await fetch('/invites', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name,
+          room: currentRoom,
+          role: inviteRoleSelect.value,
+          expiresInMinutes: parseInt(inviteExpirySelect.value, 10),
+        }),
+      });
+      const json = await resp.json();
+      if (!resp.ok) {
+        throw new Error(json.error || `HTTP ${resp.status}`);
+      }
+      inviteLinkOutput.value = `${window.location.origin}${json.path}`;
+      copyInviteBtn.disabled = false;
+      inviteInfo.textContent =
+        `${name} → room “${currentRoom}”, valid until ${new Date(json.expiresAt).toLocaleString()}`;
+    } catch (err) {
+      console.error('[studio] Invite error:', err);
+      alert(`Could not create invite: ${err.message}`);
+    } finally {
+      createInviteBtn.disabled = false;
+    }
+  }
 
-    // 1 kHz sine on each channel at –18 dBFS → gain ≈ 0.125892541
-    const amplitude = 0.125892541;
+  async function copyInvite() {
+    try {
+      await navigator.clipboard.writeText(inviteLinkOutput.value);
+      copyInviteBtn.textContent = 'Copied';
+      setTimeout(() => {
+        copyInviteBtn.textContent = 'Copy';
+      }, 1500);
+    } catch (err) {
+      // Clipboard API needs a secure context; fall back to selecting the text
+      inviteLinkOutput.select();
+    }
+  }
 
-    // If oscillators already exist, stop them
-    if (leftOsc) {
-      leftOsc.stop();
-      leftOsc.disconnect();
-      leftOsc = null;
+  function initInviteControls() {
+    inviteNameInput = document.getElementById('inviteNameInput');
+    if (!inviteNameInput) return; // studio1.html / studio2.html have no invite card
+    if (!can('invite')) {
+      document.getElementById('inviteCard').classList.add('hidden');
+      return;
     }
-    if (rightOsc) {
-      rightOsc.stop();
-      rightOsc.disconnect();
-      rightOsc = null;
+    inviteRoleSelect = document.getElementById('inviteRoleSelect');
+    inviteExpirySelect = document.getElementById('inviteExpirySelect');
+    createInviteBtn = document.getElementById('createInviteBtn');
+    inviteLinkOutput = document.getElementById('inviteLinkOutput');
+    copyInviteBtn = document.getElementById('copyInviteBtn');
+    inviteInfo = document.getElementById('inviteInfo');
+
+    createInviteBtn.onclick = createInvite;
+    copyInviteBtn.onclick = copyInvite;
+  }
+
+  /////////////////////////////////////////////////////
+  // Initialize recording controls
+  /////////////////////////////////////////////////////
+  function initRecordingControls() {
+    recordBtn = document.getElementById('recordBtn');
+    stopRecordBtn = document.getElementById('stopRecordBtn');
+    recorderTimerSpan = document.getElementById('recTimer');
+    waveformCanvas = document.getElementById('waveformCanvas');
+
+    markerBtn = document.getElementById('markerBtn');
+    markerLabelInput = document.getElementById('markerLabel');
+
+    recordBtn.onclick = startRecording;
+    stopRecordBtn.onclick = stopRecording;
+    recordBtn.disabled = !can('record');
+    if (markerBtn) {
+      markerBtn.onclick = () => {
+        addRecordingMarker(markerLabelInput ? markerLabelInput.value : '', 'marker');
+        if (markerLabelInput) markerLabelInput.value = '';
+      };
     }
-    if (glitsInterval) {
-      clearInterval(glitsInterval);
-      glitsInterval = null;
+    if (markerLabelInput) {
+      markerLabelInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && markerBtn && !markerBtn.disabled) markerBtn.click();
+      });
     }
+  }
 
-    // Create two oscillators (left/right)
-    leftOsc = audioContext.createOscillator();
-    rightOsc = audioContext.createOscillator();
-    leftOsc.type = 'sine';
-    rightOsc.type = 'sine';
-    leftOsc.frequency.setValueAtTime(1000, audioContext.currentTime);
-    rightOsc.frequency.setValueAtTime(1000, audioContext.currentTime);
+  /////////////////////////////////////////////////////
+  // Start multi‐track recording
+  /////////////////////////////////////////////////////
+  function startRecording() {
+    if (mediaStreamsToRecord.size === 0) {
+      alert('No remotes connected – nothing to record.');
+      return;
+    }
 
-    // Connect each to its own gain
-    leftOsc.connect(gainLeft);
-    rightOsc.connect(gainRight);
+    recordBtn.disabled = true;
+    stopRecordBtn.disabled = false;
 
-    // Initially mute both gains
-    gainLeft.gain.setValueAtTime(0, audioContext.currentTime);
-    gainRight.gain.setValueAtTime(0, audioContext.currentTime);
+    // 1) AudioContext for mixing all remote tracks
+    studioAudioContext = new (window.AudioContext || window.webkitAudioContext)({
+      sampleRate: 48000,
+    });
+    const mixedDest = studioAudioContext.createMediaStreamDestination();
+
+    // Sent with each file for its metadata sidecar; markers fill in while recording
+    const startedAt = Date.now();
+    const room = currentRoom;
+    const markers = [];
+    recordingMarkers = markers;
+
+    // 2) Each remote → mix, plus its own MediaRecorder for an individual file
+    mediaStreamsToRecord.forEach((remoteStream, remoteId) => {
+      const srcNode = studioAudioContext.createMediaStreamSource(remoteStream);
+      srcNode.connect(mixedDest);
+
+      const recorder = new MediaRecorder(remoteStream);
+      const contributor = peers.has(remoteId) ? peers.get(remoteId).name : remoteId;
+      const chunks = [];
+      recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) {
+          chunks.push(e.data);
+        }
+      };
+      recorder.onstop = () => {
+        const blob = new Blob(chunks, { type: recorder.mimeType || 'audio/webm' });
+        uploadRecording(`${remoteId}.webm`, blob, {
+          contributor,
+          room,
+          startedAt,
+          endedAt: Date.now(),
+          ...describeRecorder(recorder, remoteStream),
+          markers,
+        });
+      };
+      recorder.start();
+      remoteRecorders.set(remoteId, recorder);
+    });
 
-    // Start oscillators
-    leftOsc.start();
-    rightOsc.start();
+    // 3) Combined recorder (mix of all remotes)
+    studioRecorder = new MediaRecorder(mixedDest.stream);
+    const combinedChunks = [];
+    studioRecorder.ondataavailable = (e) => {
+      if (e.data.size > 0) {
+        combinedChunks.push(e.data);
+      }
+    };
+    const mixRecorder = studioRecorder;
+    studioRecorder.onstop = () => {
+      const blob = new Blob(combinedChunks, { type: mixRecorder.mimeType || 'audio/webm' });
+      uploadRecording(`combined_${Date.now()}.webm`, blob, {
+        contributor: `${STUDIO_NAME} mix`,
+        room,
+        startedAt,
+        endedAt: Date.now(),
+        ...describeRecorder(mixRecorder, mixedDest.stream),
+        channels: mixedDest.channelCount,
+        markers,
+      });
+    };
+    studioRecorder.start();
 
-    // Schedule GLITS pattern
-    setGlitsSchedule();
-    glitsInterval = setInterval(setGlitsSchedule, 4000);
+    // 4) Real‐time waveform of the mix
+    drawWaveform(mixedDest.stream);
 
-    // Mute microphone path while tone is active
-    micGain.gain.setValueAtTime(0, audioContext.currentTime);
+    // 5) Timer
+    recordingStartTime = Date.now();
+    recorderTimerInterval = setInterval(updateTimer, 500);
+    if (markerBtn) markerBtn.disabled = false;
   }
 
   /////////////////////////////////////////////////////
-  // Stop GLITS Tone and restore microphone
+  // Stop recording
   /////////////////////////////////////////////////////
-  function stopGlitsTone() {
-    if (glitsInterval) {
-      clearInterval(glitsInterval);
-      glitsInterval = null;
-    }
-    if (leftOsc) {
-      leftOsc.stop();
-      leftOsc.disconnect();
-      leftOsc = null;
+  function stopRecording() {
+    recordBtn.disabled = false;
+    stopRecordBtn.disabled = true;
+
+    remoteRecorders.forEach((recorder) => {
+      if (recorder && recorder.state === 'recording') {
+        recorder.stop();
+      }
+    });
+    remoteRecorders.clear();
+
+    if (studioRecorder && studioRecorder.state === 'recording') {
+      studioRecorder.stop();
+      studioRecorder = null;
     }
-    if (rightOsc) {
-      rightOsc.stop();
-      rightOsc.disconnect();
-      rightOsc = null;
+
+    cancelAnimationFrame(drawingRaf);
+    drawingRaf = null;
+    clearCanvas(waveformCanvas);
+    if (studioAudioContext) {
+      studioAudioContext.close();
+      studioAudioContext = null;
     }
 
-    // Restore mic gain
-    micGain.gain.setValueAtTime(1, audioContext.currentTime);
-    gainLeft.gain.setValueAtTime(0, audioContext.currentTime);
-    gainRight.gain.setValueAtTime(0, audioContext.currentTime);
+    clearInterval(recorderTimerInterval);
+    recorderTimerInterval = null;
+    recorderTimerSpan.textContent = '00:00';
+
+    recordingMarkers = null;
+    if (markerBtn) {
+      markerBtn.disabled = true;
+      markerBtn.textContent = 'Add Marker';
+    }
   }
 
   /////////////////////////////////////////////////////
-  // Schedule a single GLITS cycle (4 s)
+  // Markers (cue points) in the current recording: the
+  // Add Marker button and sports goals drop one at "now"
   /////////////////////////////////////////////////////
-  function setGlitsSchedule() {
-    if (!audioContext || !gainLeft || !gainRight) return;
-    const base = audioContext.currentTime;
-    const amp = 0.125892541;
+  function addRecordingMarker(label, kind) {
+    if (!recordingMarkers) return;
+    const now = Date.now();
+    const marker = {
+      time: (now - recordingStartTime) / 1000,
+      label: label.trim() || `Marker ${recordingMarkers.length + 1}`,
+      kind,
+      createdAt: now,
+    };
+    recordingMarkers.push(marker);
+    console.log(`[studio] Marker at ${marker.time.toFixed(1)}s: ${marker.label}`);
+    if (markerBtn) markerBtn.textContent = `Add Marker (${recordingMarkers.length})`;
+  }
 
-    // LEFT channel: silent [t → t+0.25], then on [t+0.25 → end]
-    gainLeft.gain.setValueAtTime(0, base);
-    gainLeft.gain.setValueAtTime(amp, base + 0.25);
+  /////////////////////////////////////////////////////
+  // Upload a single recording blob to server
+  /////////////////////////////////////////////////////
+  // Resumable, chunked upload (see uploadResumable in common.js) so a long
+  // recording survives a dropped connection. `details` (contributor, room,
+  // start/end time, codec, channels, markers) go into the server's metadata sidecar.
+  // If it fails for good, the blob is offered for download rather than lost.
+  async function uploadRecording(filename, blob, details) {
+    try {
+      const json = await uploadResumable(blob, {
+        kind: 'recording',
+        filename,
+        fields: details,
+        onProgress: (sent, total) => console.log(`[studio] Uploading ${filename}: ${Math.round((sent / total) * 100)}%`),
+      });
+      console.log('[studio] Uploaded:', json.uploaded);
+    } catch (err) {
+      console.error('[studio] Upload error:', err);
+      appendChatMessage('System', `Upload of ${filename} failed: ${err.message} – saved for download below the recording controls`);
+      offerLocalDownload(filename, blob);
+    }
+  }
 
-    // RIGHT channel pattern:
-    gainRight.gain.setValueAtTime(amp, base);       // t → t+0.25
-    gainRight.gain.setValueAtTime(0, base + 0.25);  // t+0.25 → t+0.50
-    gainRight.gain.setValueAtTime(amp, base + 0.5); // t+0.50 → t+0.75
-    gainRight.gain.setValueAtTime(0, base + 0.75);  // t+0.75 → t+1.00
-    gainRight.gain.setValueAtTime(amp, base + 1.0); // t+1.00 → cycle end
+  // Keep a take the server refused (storage full, network gone) as a local download
+  function offerLocalDownload(filename, blob) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.textContent = `Download ${filename} (upload failed, ${new Date().toLocaleTimeString()})`;
+    link.style.display = 'block';
+    document.getElementById('failedUploads').appendChild(link);
   }
 
   /////////////////////////////////////////////////////
-  // Chat: append message
+  // Draw real‐time waveform for a given MediaStream
   /////////////////////////////////////////////////////
-  function appendChatMessage(senderName, message, isLocal) {
-    const div = document.createElement('div');
-    div.className = 'chat-message';
-    if (isLocal) {
-      div.innerHTML = `<strong>You:</strong> ${message}`;
-    } else {
-      div.innerHTML = `<strong>${senderName}:</strong> ${message}`;
+  let drawingRaf = null;
+  function drawWaveform(stream) {
+    const source = studioAudioContext.createMediaStreamSource(stream);
+    const analyser = studioAudioContext.createAnalyser();
+    analyser.fftSize = 2048;
+    source.connect(analyser);
+
+    const canvas = waveformCanvas;
+    const ctx = canvas.getContext('2d');
+    const bufferLength = analyser.fftSize;
+    const dataArray = new Uint8Array(bufferLength);
+
+    function draw() {
+      analyser.getByteTimeDomainData(dataArray);
+
+      ctx.fillStyle = '#222';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = '#0f0';
+      ctx.beginPath();
+
+      const sliceWidth = (canvas.width * 1.0) / bufferLength;
+      let x = 0;
+      for (let i = 0; i < bufferLength; i++) {
+        const v = dataArray[i] / 128.0;
+        const y = (v * canvas.height) / 2;
+        if (i === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+        x += sliceWidth;
+      }
+      ctx.lineTo(canvas.width, canvas.height / 2);
+      ctx.stroke();
+
+      drawingRaf = requestAnimationFrame(draw);
     }
-    chatWindowEl.appendChild(div);
-    chatWindowEl.scrollTop = chatWindowEl.scrollHeight;
+    draw();
+  }
+
+  function clearCanvas(canvas) {
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
   }
 
   /////////////////////////////////////////////////////
-  // Send chat
+  // Update recording timer display
   /////////////////////////////////////////////////////
-  function sendChat() {
-    const text = chatInputEl.value.trim();
-    if (!text) return;
-    ws.send(
-      JSON.stringify({
-        type: 'chat',
-        from: localID,
-        name: displayName,
-        message: text,
-        target: 'studio',
-      })
-    );
-    appendChatMessage('You', text, true);
-    chatInputEl.value = '';
+  function updateTimer() {
+    const elapsedMs = Date.now() - recordingStartTime;
+    const seconds = Math.floor(elapsedMs / 1000);
+    const mins = String(Math.floor(seconds / 60)).padStart(2, '0');
+    const secs = String(seconds % 60).padStart(2, '0');
+    recorderTimerSpan.textContent = `${mins}:${secs}`;
   }
 
   /////////////////////////////////////////////////////
   // DOCUMENT READY
   /////////////////////////////////////////////////////
-  window.addEventListener('load', () => {
-    initNameStep();
+  window.addEventListener('load', async () => {
+    connStatusSpan = document.getElementById('connStatus');
+    operatorInfoSpan = document.getElementById('operatorInfo');
+    logoutBtn = document.getElementById('logoutBtn');
+    remotesContainer = document.getElementById('remotesContainer');
+    remoteEntryTemplate = document.getElementById('remoteEntryTemplate');
+    studioVuCanvas = document.getElementById('studioVuCanvas');
+    remoteMixVuCanvas = document.getElementById('remoteMixVuCanvas');
+    chatWindowEl = document.getElementById('chatWindow');
+    chatInputEl = document.getElementById('chatInput');
+    sendChatBtn = document.getElementById('sendChatBtn');
+    roomInput = document.getElementById('roomInput');
+    roomList = document.getElementById('roomList');
+    joinRoomBtn = document.getElementById('joinRoomBtn');
+    currentRoomSpan = document.getElementById('currentRoom');
+
+    // studio1.html / studio2.html have no room picker and stay in their URL / last room
+    if (roomInput) {
+      roomInput.value = currentRoom;
+      roomInput.addEventListener('focus', refreshRoomList);
+      roomInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') switchRoom();
+      });
+      joinRoomBtn.onclick = switchRoom;
+      refreshRoomList();
+    }
+
+    sendChatBtn.onclick = sendChat;
+    chatInputEl.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') sendChat();
+    });
+    if (logoutBtn) logoutBtn.onclick = logout;
+
+    if (!(await loadSession())) return;
+
+    initInviteControls();
+    initGoalAlerts();
+    initSegmentInbox();
+    initRecordingControls();
+    initStudioMic();
+    initWebSocket();
   });
 })();
@@ -1,10 +1,11 @@
 /**
  * recordings.js
  *
- * - Fetches GET /recordings to retrieve a JSON array of filenames.
+ * - Fetches GET /recordings to retrieve each recording’s metadata (newest first).
  * - For each recording:
  *   • Creates a `.recording-entry` with:
- *     - <div class="recording-title">filename</div>
+ *     - <div class="recording-title">contributor (or original filename)</div>
+ *     - <div class="recording-meta">room · start time · duration · codec · channels · uploader</div>
  *     - <div class="waveform-container">
  *         <canvas class="waveform-canvas" width="800" height="200"></canvas>
  *         <div class="ticker"></div>
@@ -33,16 +34,21 @@
     }
   }
 
-  // 2) For each filename, create UI entry
-  async function renderRecording(filename) {
+  // 2) For each recording, create UI entry
+  async function renderRecording(recording) {
     const entryEl = document.createElement('div');
     entryEl.className = 'recording-entry';
 
     const titleEl = document.createElement('div');
     titleEl.className = 'recording-title';
-    titleEl.textContent = filename;
+    titleEl.textContent = recording.contributor || recording.originalName;
     entryEl.appendChild(titleEl);
 
+    const metaEl = document.createElement('div');
+    metaEl.className = 'recording-meta';
+    metaEl.textContent = describeRecording(recording);
+    entryEl.appendChild(metaEl);
+
     // Waveform container
     const wfContainer = document.createElement('div');
     wfContainer.className = 'waveform-container';
@@ -70,7 +76,7 @@
     const audioEl = document.createElement('audio');
     audioEl.controls = true;
     audioEl.preload = 'none';
-    audioEl.src = `/recordings/${encodeURIComponent(filename)}`;
+    audioEl.src = `/recordings/${encodeURIComponent(recording.file)}`;
     controlsEl.appendChild(audioEl);
 
     const playPauseBtn = document.createElement('button');
@@ -89,7 +95,7 @@
 
     // Draw waveform once we have the ArrayBuffer
     try {
-      const arrayBuffer = await fetch(`/recordings/${encodeURIComponent(filename)}`).then((r) =>
+      const arrayBuffer = await fetch(`/recordings/${encodeURIComponent(recording.file)}`).then((r) =>
         r.arrayBuffer()
       );
       const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
@@ -98,7 +104,7 @@
       drawFullWaveform(canvas, audioBuffer);
       setupTicker(canvas, ticker, audioEl, timeDisplay, audioBuffer.duration);
     } catch (err) {
-      console.error(`Error loading or decoding ${filename}:`, err);
+      console.error(`Error loading or decoding ${recording.file}:`, err);
     }
 
     // Play/pause button toggles playback
@@ -182,6 +188,24 @@
     update();
   }
 
+  // One line of sidecar details; files recorded before sidecars existed only have a name
+  function describeRecording(recording) {
+    const parts = [];
+    if (recording.room) parts.push(`Room “${recording.room}”`);
+    const startedAt = recording.startedAt || recording.uploadedAt;
+    if (startedAt) parts.push(new Date(startedAt).toLocaleString());
+    if (recording.duration !== null && recording.duration !== undefined) {
+      const mm = String(Math.floor(recording.duration / 60)).padStart(2, '0');
+      const ss = String(Math.floor(recording.duration % 60)).padStart(2, '0');
+      parts.push(`${mm}:${ss}`);
+    }
+    if (recording.codec) parts.push(recording.codec);
+    if (recording.channels) parts.push(recording.channels === 1 ? 'mono' : `${recording.channels} ch`);
+    if (recording.uploadedBy) parts.push(`uploaded by ${recording.uploadedBy}`);
+    if (recording.contributor) parts.push(recording.originalName);
+    return parts.join(' · ');
+  }
+
   // Move the ticker based on currentTime / duration
   function updateTickerPosition(ticker, canvas, currentTime, duration) {
     const width = canvas.width;
@@ -204,8 +228,8 @@
   window.addEventListener('load', async () => {
     // First, render existing recordings
     const recordingsList = await fetchRecordingsList();
-    recordingsList.forEach((filename) => {
-      renderRecording(filename);
+    recordingsList.forEach((recording) => {
+      renderRecording(recording);
     });
   });
 
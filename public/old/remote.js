@@ -21,17 +21,6 @@
  */
 
 (() => {
-  // TURN/STUN configuration
-  const ICE_CONFIG = {
-    iceServers: [
-      {
-        urls: ['turn:turn.nkpa.co.uk:3478'],
-        username: 'webrtcuser',
-        credential: 'uS2h$2JW!hL3!E9yb1N1',
-      },
-    ],
-  };
-
   let ws = null;
   let pc = null;
   let localStream = null;       // Raw mic MediaStream
@@ -246,7 +235,7 @@
 
     // Step 3: create PeerConnection (if not exists already)
     if (!pc) {
-      pc = new RTCPeerConnection(ICE_CONFIG);
+      pc = new RTCPeerConnection(await getRTCConfig());
 
       pc.ontrack = (evt) => {
         const [incomingStream] = evt.streams;
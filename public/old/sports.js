@@ -10,17 +10,6 @@
  */
 
 (() => {
-  // ICE servers configuration (TURN/STUN)
-  const ICE_CONFIG = {
-    iceServers: [
-      {
-        urls: ['turn:turn.nkpa.co.uk:3478'],
-        username: 'webrtcuser',
-        credential: 'uS2h$2JW!hL3!E9yb1N1',
-      },
-    ],
-  };
-
   let ws = null;
   let pc = null;
   let localStream = null;
@@ -207,7 +196,7 @@
       return;
     }
 
-    pc = new RTCPeerConnection(ICE_CONFIG);
+    pc = new RTCPeerConnection(await getRTCConfig());
 
     // Add mic track (remote → studio)
     const track = localStream.getAudioTracks()[0];
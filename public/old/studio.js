@@ -12,17 +12,6 @@
  */
 
 (() => {
-  // ICE servers configuration (TURN/STUN)
-  const ICE_CONFIG = {
-    iceServers: [
-      {
-        urls: ['turn:turn.nkpa.co.uk:3478'],
-        username: 'webrtcuser',
-        credential: 'uS2h$2JW!hL3!E9yb1N1',
-      },
-    ],
-  };
-
   let ws = null;
   // peers maps peerId → { pc, entryEl, audioContext, analyserL, analyserR, rafId, mediaStream }
   const peers = new Map();
@@ -144,7 +133,7 @@
     };
 
     // 3) Set up RTCPeerConnection
-    const pc = new RTCPeerConnection(ICE_CONFIG);
+    const pc = new RTCPeerConnection(await getRTCConfig());
 
     pc.onicecandidate = (evt) => {
       if (evt.candidate) {
@@ -373,12 +362,17 @@
     // 2) Create a destination node for the studio “mix” (if desired)
     const mixedDest = studioAudioContext.createMediaStreamDestination();
 
+    // Sent with each file for its metadata sidecar
+    const startedAt = Date.now();
+
     // 3) For each remote’s MediaStream, create a MediaStreamSource → connect to mix
     mediaStreamsToRecord.forEach((remoteStream, remoteId) => {
       const srcNode = studioAudioContext.createMediaStreamSource(remoteStream);
       srcNode.connect(mixedDest);
       // Also set up a separate MediaRecorder for each remote if you want individual files
       const recorder = new MediaRecorder(remoteStream);
+      const nameEl = document.querySelector(`#remote-${remoteId} .remote-name`);
+      const contributor = nameEl ? nameEl.textContent : remoteId;
       const chunks = [];
       recorder.ondataavailable = (e) => {
         if (e.data.size > 0) {
@@ -386,8 +380,13 @@
         }
       };
       recorder.onstop = () => {
-        const blob = new Blob(chunks, { type: 'audio/webm' });
-        uploadRecording(`${remoteId}.webm`, blob);
+        const blob = new Blob(chunks, { type: recorder.mimeType || 'audio/webm' });
+        uploadRecording(`${remoteId}.webm`, blob, {
+          contributor,
+          startedAt,
+          endedAt: Date.now(),
+          ...describeRecorder(recorder, remoteStream),
+        });
       };
       recorder.start();
       remoteRecorders.set(remoteId, recorder);
@@ -421,9 +420,16 @@
         combinedChunks.push(e.data);
       }
     };
+    const mixRecorder = studioRecorder;
     studioRecorder.onstop = () => {
-      const blob = new Blob(combinedChunks, { type: 'audio/webm' });
-      uploadRecording(`combined_${Date.now()}.webm`, blob);
+      const blob = new Blob(combinedChunks, { type: mixRecorder.mimeType || 'audio/webm' });
+      uploadRecording(`combined_${Date.now()}.webm`, blob, {
+        contributor: 'Studio mix',
+        startedAt,
+        endedAt: Date.now(),
+        ...describeRecorder(mixRecorder, mixedDest.stream),
+        channels: mixedDest.channelCount,
+      });
     };
     studioRecorder.start();
 
@@ -470,15 +476,16 @@
   /////////////////////////////////////////////////////
   // Upload a single recording blob to server
   /////////////////////////////////////////////////////
-  async function uploadRecording(filename, blob) {
-    const formData = new FormData();
-    formData.append('files', blob, filename);
+  // Resumable, chunked upload (see uploadResumable in common.js) so a long
+  // recording survives a dropped connection. `details` go into the metadata sidecar.
+  async function uploadRecording(filename, blob, details) {
     try {
-      const resp = await fetch('/upload', {
-        method: 'POST',
-        body: formData,
+      const json = await uploadResumable(blob, {
+        kind: 'recording',
+        filename,
+        fields: details,
+        onProgress: (sent, total) => console.log(`Uploading ${filename}: ${Math.round((sent / total) * 100)}%`),
       });
-      const json = await resp.json();
       console.log('Uploaded:', json.uploaded);
     } catch (err) {
       console.error('Upload error:', err);
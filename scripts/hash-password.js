@@ -0,0 +1,20 @@
+/**
+ * scripts/hash-password.js
+ *
+ * Prints a `passwordHash` for an entry in operators.json:
+ *   npm run hash-password -- 'correct horse battery staple'
+ *
+ * Format matches checkPassword() in server.js: scrypt$<salt>$<hash>
+ */
+
+const crypto = require('crypto');
+
+const password = process.argv[2];
+if (!password) {
+  console.error('Usage: npm run hash-password -- <password>');
+  process.exit(1);
+}
+
+const salt = crypto.randomBytes(16).toString('hex');
+const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+console.log(`scrypt$${salt}$${hash}`);
@@ -5,8 +5,30 @@
  * Uses CommonJS (`require`), Express for HTTP/static serving, and ws for WebSocket.
  *
  * - Serves static files from `public/`
+ * - Logs studio operators in (producer / engineer / viewer) with a session cookie,
+ *   checked on HTTP endpoints and on the WebSocket upgrade
  * - Handles WebSocket signaling between studios and remotes
- * - Implements file‐upload endpoints with multer
+ * - Isolates shows into named rooms: studios only see remotes in their own room
+ * - Registers sports reporters alongside remotes and relays their goals / studio goal-acks
+ * - Holds each match's live state (teams, score, scorers, events) for sports reporters
+ * - Publishes those scores read-only at `/api/fixtures` and as a Server-Sent Events stream
+ * - Accepts reporter segment uploads into a per-reporter studio inbox for approval
+ * - Tracks which studio owns each remote's call and routes offers/ICE only to that studio
+ * - Implements file‐upload endpoints with multer, plus resumable chunked uploads
+ *   (`/uploads`) with SHA-256 verification for long recordings and segments
+ * - Stores recordings under server-generated names with a JSON metadata sidecar each
+ * - Recording library: search/filter, rename, tag, annotate and trash/restore recordings
+ * - Keeps timestamped markers (cue points) per recording, dropped while recording or added later
+ * - Precomputes waveform peaks for each recording with ffmpeg (`/recordings/:id/peaks`)
+ * - Cuts clips from a recording into new recordings that remember their source
+ * - Streams a ZIP of selected recordings and their sidecars for bulk download
+ * - Transcodes recordings to Broadcast WAV, FLAC or MP3 on request and caches the results
+ * - Measures each recording's EBU R128 loudness and can export it normalised to a target
+ * - Enforces a storage quota on recordings/ and archives or deletes them after a retention period
+ * - Issues signed, expiring contributor invite links and verifies them on `join`
+ * - Issues signed, expiring, revocable share links that open one recording in a public player
+ * - Lets a remote or studio whose WebSocket drops resume its ID (and calls) within a grace window
+ * - Hands out ICE servers with short-lived TURN credentials at `/ice-config`
  * - Ignores “keepalive” messages
  */
 
@@ -18,6 +40,7 @@ const multer = require('multer');
 const { WebSocketServer } = require('ws');
 const crypto = require('crypto');
 const cors = require('cors');
+const { spawn } = require('child_process');
 
 const app = express();
 const PORT = process.env.PORT || 3030;
@@ -34,62 +57,3068 @@ app.use(
 // Serve static files under /public
 app.use(express.static(path.join(__dirname, 'public')));
 
-// === 2) RECORDINGS STORAGE & UPLOAD ===
+// === 2) STUDIO OPERATOR LOGIN & ROLES ===
 
+// Operators live in a JSON file (OPERATORS_FILE, default ./operators.json):
+//   [{ "username": "jo", "role": "producer", "passwordHash": "scrypt$<salt>$<hash>" }]
+// Generate passwordHash with `npm run hash-password -- <password>` (scripts/hash-password.js).
+const OPERATORS_FILE = process.env.OPERATORS_FILE || path.join(__dirname, 'operators.json');
+const SESSION_COOKIE = 'studio_session';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+// What each operator role may do. `library` covers reading the recording library too (listing,
+// playback, peaks, usage, exports, ZIP downloads), so viewers – meters and chat only – get none of it.
+const ROLE_PERMISSIONS = {
+  producer: ['call', 'mute', 'mode', 'bitrate', 'kick', 'invite', 'record', 'chat', 'goal', 'review', 'library', 'share'],
+  engineer: ['call', 'mute', 'mode', 'bitrate', 'record', 'chat', 'goal', 'library'],
+  viewer: ['chat'],
+};
+
+// Studio → server signalling messages that need a permission
+const MESSAGE_PERMISSIONS = {
+  'ready-for-offer': 'call',
+  'release-remote': 'call',
+  answer: 'call',
+  'mute-remote': 'mute',
+  'kick-remote': 'kick',
+  'mode-update': 'mode',
+  'bitrate-update': 'bitrate',
+  'goal-ack': 'goal',
+};
+
+function loadOperators() {
+  try {
+    const list = JSON.parse(fs.readFileSync(OPERATORS_FILE, 'utf8'));
+    const operators = new Map();
+    list.forEach((op) => {
+      if (!op.username || !op.passwordHash || !ROLE_PERMISSIONS[op.role]) {
+        console.warn(`Skipping invalid operator entry in ${OPERATORS_FILE}:`, op.username);
+        return;
+      }
+      operators.set(op.username, op);
+    });
+    return operators;
+  } catch (err) {
+    console.warn(`No studio operators loaded from ${OPERATORS_FILE}; studio login is disabled.`, err.message);
+    return new Map();
+  }
+}
+const operators = loadOperators();
+
+// sessions: Map<sessionId, { username, role, expires }>
+const sessions = new Map();
+
+function checkPassword(password, passwordHash) {
+  const [scheme, salt, hash] = String(passwordHash).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '')
+    .split(';')
+    .forEach((part) => {
+      const idx = part.indexOf('=');
+      if (idx < 0) return;
+      cookies[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+    });
+  return cookies;
+}
+
+// Session for an HTTP request or WebSocket upgrade request, or null
+function getSession(request) {
+  const sessionId = parseCookies(request.headers.cookie)[SESSION_COOKIE];
+  const session = sessionId && sessions.get(sessionId);
+  if (!session) return null;
+  if (session.expires < Date.now()) {
+    sessions.delete(sessionId);
+    return null;
+  }
+  return session;
+}
+
+function hasPermission(session, permission) {
+  return !!session && ROLE_PERMISSIONS[session.role].includes(permission);
+}
+
+// Express middleware: require a logged-in operator with the given permission
+function requireOperator(permission) {
+  return (req, res, next) => {
+    const session = getSession(req);
+    if (!session) {
+      return res.status(401).json({ error: 'Studio login required' });
+    }
+    if (permission && !hasPermission(session, permission)) {
+      return res.status(403).json({ error: `Your role (${session.role}) cannot do this` });
+    }
+    req.operator = session;
+    next();
+  };
+}
+
+function sessionInfo(session) {
+  return {
+    username: session.username,
+    role: session.role,
+    permissions: ROLE_PERMISSIONS[session.role],
+  };
+}
+
+// POST /login { username, password } → sets the session cookie
+app.post('/login', express.json(), (req, res) => {
+  const { username, password } = req.body || {};
+  const operator = operators.get(String(username || ''));
+  if (!operator || !checkPassword(password || '', operator.passwordHash)) {
+    console.warn(`Failed studio login for "${username}"`);
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+  const sessionId = crypto.randomBytes(32).toString('hex');
+  const session = { username: operator.username, role: operator.role, expires: Date.now() + SESSION_TTL_MS };
+  sessions.set(sessionId, session);
+  res.cookie(SESSION_COOKIE, sessionId, {
+    httpOnly: true,
+    secure: true,
+    sameSite: 'strict',
+    maxAge: SESSION_TTL_MS,
+  });
+  console.log(`Studio login: ${operator.username} (${operator.role})`);
+  res.json(sessionInfo(session));
+});
+
+// POST /logout → drops the session
+app.post('/logout', (req, res) => {
+  const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (sessionId) {
+    sessions.delete(sessionId);
+  }
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ ok: true });
+});
+
+// GET /session → current operator, or 401
+app.get('/session', requireOperator(), (req, res) => {
+  res.json(sessionInfo(req.operator));
+});
+
+// === 3) RECORDINGS STORAGE & UPLOAD ===
+
+// Every recording is stored under a name the server picks (<id>.<ext>), never the
+// client's filename, with a <id>.json sidecar describing it. Deleted recordings
+// (file + sidecar) move to recordings/.trash, which is never served, and can be restored.
 const recordingsDir = path.join(__dirname, 'recordings');
-if (!fs.existsSync(recordingsDir)) {
-  fs.mkdirSync(recordingsDir);
+const trashDir = path.join(recordingsDir, '.trash');
+if (!fs.existsSync(trashDir)) {
+  fs.mkdirSync(trashDir, { recursive: true });
+}
+const AUDIO_EXTENSIONS = {
+  'audio/webm': '.webm',
+  'audio/ogg': '.ogg',
+  'audio/wav': '.wav',
+  'audio/x-wav': '.wav',
+  'audio/mp4': '.m4a',
+  'audio/mpeg': '.mp3',
+  'audio/flac': '.flac',
+};
+const MAX_CONTRIBUTOR_LENGTH = 64;
+const MAX_CODEC_LENGTH = 32;
+const MAX_RECORDING_TITLE_LENGTH = 120;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 32;
+const MAX_RECORDING_NOTES_LENGTH = 2000;
+const MAX_MARKERS = 200;
+const MAX_MARKER_LABEL_LENGTH = 120;
+const MARKER_KINDS = ['marker', 'goal'];
+
+function audioExtension(mimeType) {
+  return AUDIO_EXTENSIONS[String(mimeType).split(';')[0].trim()] || '.webm';
+}
+
+// recordings: Map<recordingId, { id, file, originalName, contributor, room, startedAt, endedAt,
+//                                duration, codec, channels, mimeType, size, uploadedBy, uploadedAt,
+//                                title, tags, notes, markers, source, loudness, deletedAt, deletedBy }>
+//   startedAt / endedAt are ms timestamps from the recording studio; duration is in seconds
+//   title / tags / notes are set from the library; deletedAt is set while it is in the trash
+//   markers: [{ id, time, label, kind: 'marker'|'goal', createdBy, createdAt }] sorted by time,
+//   time in seconds from the start; dropped while recording (see recordingDetails) or in the library
+//   source is set on clips cut in the library: { recordingId, name, start, end } (seconds into it)
+//   loudness is measured after upload: { integrated (LUFS), range (LU), truePeak (dBTP), threshold }
+const recordings = new Map();
+
+// Library fields, for sidecars written before they existed
+const RECORDING_DEFAULTS = {
+  title: null,
+  tags: [],
+  notes: '',
+  markers: [],
+  source: null,
+  loudness: null,
+  deletedAt: null,
+  deletedBy: null,
+};
+
+function recordingDir(recording) {
+  return recording.deletedAt ? trashDir : recordingsDir;
+}
+
+function saveRecording(recording) {
+  fs.writeFileSync(path.join(recordingDir(recording), `${recording.id}.json`), JSON.stringify(recording, null, 2));
+}
+
+// Read the sidecars, and give files saved before sidecars existed one of their own
+function loadRecordings() {
+  [recordingsDir, trashDir].forEach((dir) => {
+    fs.readdirSync(dir)
+      .filter((name) => name.endsWith('.json'))
+      .forEach((name) => {
+        try {
+          const recording = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+          recordings.set(recording.id, { ...RECORDING_DEFAULTS, ...recording });
+        } catch (err) {
+          console.error(`Skipping unreadable recording metadata ${name}:`, err.message);
+        }
+      });
+  });
+
+  const names = fs.readdirSync(recordingsDir);
+
+  const described = new Set(Array.from(recordings.values(), (recording) => recording.file));
+  names
+    .filter((name) => !name.endsWith('.json') && !described.has(name))
+    .forEach((name) => {
+      const stat = fs.statSync(path.join(recordingsDir, name));
+      if (!stat.isFile()) return;
+      const recording = {
+        id: crypto.randomUUID(),
+        file: name,
+        originalName: name,
+        contributor: null,
+        room: null,
+        startedAt: null,
+        endedAt: null,
+        duration: null,
+        codec: null,
+        channels: null,
+        mimeType: null,
+        size: stat.size,
+        uploadedBy: null,
+        uploadedAt: stat.mtimeMs,
+        ...RECORDING_DEFAULTS,
+      };
+      recordings.set(recording.id, recording);
+      saveRecording(recording);
+    });
+  console.log(`Loaded ${recordings.size} recording(s).`);
+}
+loadRecordings();
+
+// A marker `time` seconds into a recording; null if malformed
+function cleanMarker(input, createdBy) {
+  if (!input || typeof input !== 'object') return null;
+  const time = Number(input.time);
+  if (!Number.isFinite(time) || time < 0) return null;
+  const createdAt = Number(input.createdAt);
+  return {
+    id: crypto.randomUUID(),
+    time: Math.round(time * 1000) / 1000,
+    label: typeof input.label === 'string' ? input.label.trim().slice(0, MAX_MARKER_LABEL_LENGTH) : '',
+    kind: MARKER_KINDS.includes(input.kind) ? input.kind : 'marker',
+    createdBy: createdBy || null,
+    createdAt: Number.isFinite(createdAt) && createdAt > 0 ? createdAt : Date.now(),
+  };
+}
+
+function sortMarkers(markers) {
+  return markers.sort((a, b) => a.time - b.time);
+}
+
+// Recording details sent by the studio alongside the audio; anything malformed is dropped.
+// markers may be a list or (from a multipart form) its JSON; `author` is credited with them.
+function recordingDetails(input, author) {
+  const text = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null);
+  const time = (value) => {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? n : null;
+  };
+  const startedAt = time(input.startedAt);
+  let endedAt = time(input.endedAt);
+  if (startedAt && endedAt && endedAt < startedAt) endedAt = null;
+  const channels = Number(input.channels);
+  let markers = input.markers;
+  if (typeof markers === 'string') {
+    try {
+      markers = JSON.parse(markers);
+    } catch (err) {
+      markers = null;
+    }
+  }
+  return {
+    contributor: text(input.contributor, MAX_CONTRIBUTOR_LENGTH),
+    room: input.room ? normaliseRoom(input.room) : null,
+    startedAt,
+    endedAt,
+    duration: startedAt && endedAt ? Math.round((endedAt - startedAt) / 100) / 10 : null,
+    codec: text(input.codec, MAX_CODEC_LENGTH),
+    channels: Number.isInteger(channels) && channels > 0 && channels <= 32 ? channels : null,
+    markers: Array.isArray(markers)
+      ? sortMarkers(markers.map((marker) => cleanMarker(marker, author)).filter(Boolean)).slice(0, MAX_MARKERS)
+      : [],
+  };
+}
+
+// A fresh storage name; the file itself is written by the caller
+function newRecordingFile(mimeType) {
+  const id = crypto.randomUUID();
+  return { id, file: `${id}${audioExtension(mimeType)}` };
+}
+
+// Record a file now stored as recordings/<file>; `fields` presets library fields
+// (title, tags, markers, source) for recordings the server makes itself
+function addRecording({ id, file, originalName, mimeType, size, uploadedBy }, details, fields) {
+  const recording = {
+    id,
+    file,
+    originalName: path.basename(String(originalName || file)).slice(0, 200),
+    ...RECORDING_DEFAULTS,
+    ...recordingDetails(details || {}, uploadedBy),
+    mimeType: mimeType || null,
+    size,
+    uploadedBy,
+    uploadedAt: Date.now(),
+    ...fields,
+  };
+  recordings.set(recording.id, recording);
+  saveRecording(recording);
+  console.log(`Recording ${recording.originalName} stored as ${recording.file} (${uploadedBy})`);
+  queuePeaks(recording);
+  queueLoudness(recording);
+  return recording;
+}
+
+// Set up multer to store incoming files in ./recordings under generated names
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, recordingsDir);
+  },
+  filename: (req, file, cb) => {
+    const { id, file: name } = newRecordingFile(file.mimetype);
+    file.recordingId = id;
+    cb(null, name);
+  },
+});
+const upload = multer({ storage });
+
+// POST /upload (multipart: files, plus optional contributor, room, startedAt, endedAt,
+// codec, channels, markers as JSON) → { uploaded, recordings } (operators who may record;
+// 507 once the storage quota is used up)
+app.post(
+  '/upload',
+  requireOperator('record'),
+  requireStorage((req) => Number(req.headers['content-length']) || 0),
+  upload.array('files'),
+  (req, res) => {
+    const stored = req.files.map((f) =>
+      addRecording(
+        {
+          id: f.recordingId,
+          file: f.filename,
+          originalName: f.originalname,
+          mimeType: f.mimetype,
+          size: f.size,
+          uploadedBy: req.operator.username,
+        },
+        req.body
+      )
+    );
+    res.json({ uploaded: stored.map((recording) => recording.file), recordings: stored });
+  }
+);
+
+// Trimmed, de-duplicated (case-insensitively) tag list; null if not a list of strings
+function cleanTags(tags) {
+  if (!Array.isArray(tags) || !tags.every((tag) => typeof tag === 'string')) return null;
+  const seen = new Set();
+  return tags
+    .map((tag) => tag.trim().replace(/\s+/g, ' ').slice(0, MAX_TAG_LENGTH))
+    .filter((tag) => tag && !seen.has(tag.toLowerCase()) && seen.add(tag.toLowerCase()))
+    .slice(0, MAX_TAGS);
+}
+
+function recordingTime(recording) {
+  return recording.startedAt || recording.uploadedAt;
+}
+
+// Date filters accept a timestamp or anything Date can parse; `to` as a bare date
+// (YYYY-MM-DD) includes that whole day
+function parseDateFilter(value, endOfDay) {
+  if (!value) return null;
+  const text = String(value);
+  const time = /^\d+$/.test(text) ? Number(text) : Date.parse(text);
+  if (!Number.isFinite(time)) return null;
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+// Orderings for GET /recordings?sort=
+const RECORDING_SORTS = {
+  newest: (a, b) => recordingTime(b) - recordingTime(a),
+  oldest: (a, b) => recordingTime(a) - recordingTime(b),
+  size: (a, b) => b.size - a.size || recordingTime(b) - recordingTime(a),
+  contributor: (a, b) =>
+    (a.contributor || a.originalName).localeCompare(b.contributor || b.originalName, undefined, { sensitivity: 'base' }) ||
+    recordingTime(b) - recordingTime(a),
+};
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// GET /recordings?q=&contributor=&tag=&from=&to=&trash=1&sort=&offset=&limit=
+//   → { recordings: [metadata…], total, offset, limit, nextOffset }
+//   q matches title, filename, contributor, room, notes, tags and marker labels; contributor is a substring;
+//   tag may repeat (or be comma-separated) and all must match; trash=1 lists deleted recordings.
+//   sort is newest (default), oldest, size (largest first) or contributor (A–Z); one page of
+//   `limit` (default 50, at most 200) from `offset` is returned, nextOffset is null on the last page.
+//   The library is for operators with `library` only; outsiders get single recordings through share links.
+app.get('/recordings', requireOperator('library'), (req, res) => {
+  const lower = (value) => String(value || '').trim().toLowerCase();
+  const q = lower(req.query.q);
+  const contributor = lower(req.query.contributor);
+  const tags = []
+    .concat(req.query.tag || [])
+    .flatMap((tag) => String(tag).split(','))
+    .map(lower)
+    .filter(Boolean);
+  const from = parseDateFilter(req.query.from, false);
+  const to = parseDateFilter(req.query.to, true);
+  const trash = req.query.trash === '1';
+  const sort = Object.prototype.hasOwnProperty.call(RECORDING_SORTS, req.query.sort)
+    ? RECORDING_SORTS[req.query.sort]
+    : RECORDING_SORTS.newest;
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+  const list = Array.from(recordings.values())
+    .filter((recording) => {
+      if (Boolean(recording.deletedAt) !== trash) return false;
+      if (contributor && !lower(recording.contributor).includes(contributor)) return false;
+      const recordingTags = recording.tags.map(lower);
+      if (!tags.every((tag) => recordingTags.includes(tag))) return false;
+      const time = recordingTime(recording);
+      if ((from && time < from) || (to && time > to)) return false;
+      if (q) {
+        const haystack = [recording.title, recording.originalName, recording.contributor, recording.room, recording.notes]
+          .concat(recording.tags, recording.markers.map((marker) => marker.label))
+          .map(lower)
+          .join('\n');
+        if (!haystack.includes(q)) return false;
+      }
+      return true;
+    })
+    .sort(sort);
+  const page = list.slice(offset, offset + limit);
+  res.json({
+    recordings: page,
+    total: list.length,
+    offset,
+    limit,
+    nextOffset: offset + page.length < list.length ? offset + page.length : null,
+  });
+});
+
+// GET /recordings/tags → { tags: [{ tag, count }] } across recordings not in the trash
+app.get('/recordings/tags', requireOperator('library'), (req, res) => {
+  const counts = new Map();
+  recordings.forEach((recording) => {
+    if (recording.deletedAt) return;
+    recording.tags.forEach((tag) => {
+      const key = tag.toLowerCase();
+      const entry = counts.get(key) || { tag, count: 0 };
+      entry.count += 1;
+      counts.set(key, entry);
+    });
+  });
+  const tags = Array.from(counts.values()).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  res.json({ tags });
+});
+
+// Name for a downloaded copy: title, contributor or original filename, made filename-safe
+function downloadBaseName(recording) {
+  const name = recording.title || recording.contributor || path.basename(recording.originalName, path.extname(recording.originalName));
+  return name.replace(/[\\/:*?"<>|\x00-\x1f]+/g, '_').slice(0, 100) || recording.id;
+}
+
+// Loads :id into req.recording (trashed ones included)
+function findRecording(req, res, next) {
+  const recording = recordings.get(req.params.id);
+  if (!recording) {
+    return res.status(404).json({ error: 'No such recording' });
+  }
+  req.recording = recording;
+  next();
+}
+
+// PATCH /recordings/:id { title?, tags?, notes? } → { recording }  rename / tag / annotate
+app.patch('/recordings/:id', requireOperator('library'), express.json(), findRecording, (req, res) => {
+  const { recording } = req;
+  const { title, tags, notes } = req.body || {};
+  const changes = {};
+  if (title !== undefined) {
+    if (title !== null && typeof title !== 'string') {
+      return res.status(400).json({ error: 'title must be a string' });
+    }
+    changes.title = (title || '').trim().slice(0, MAX_RECORDING_TITLE_LENGTH) || null;
+  }
+  if (tags !== undefined) {
+    changes.tags = cleanTags(tags);
+    if (!changes.tags) {
+      return res.status(400).json({ error: 'tags must be a list of strings' });
+    }
+  }
+  if (notes !== undefined) {
+    if (notes !== null && typeof notes !== 'string') {
+      return res.status(400).json({ error: 'notes must be a string' });
+    }
+    changes.notes = (notes || '').trim().slice(0, MAX_RECORDING_NOTES_LENGTH);
+  }
+  Object.assign(recording, changes);
+  saveRecording(recording);
+  console.log(`Recording ${recording.id} updated by ${req.operator.username}: ${Object.keys(changes).join(', ')}`);
+  res.json({ recording });
+});
+
+// Loads :markerId of req.recording into req.marker
+function findMarker(req, res, next) {
+  const marker = req.recording.markers.find((m) => m.id === req.params.markerId);
+  if (!marker) {
+    return res.status(404).json({ error: 'No such marker' });
+  }
+  req.marker = marker;
+  next();
+}
+
+// POST /recordings/:id/markers { time, label?, kind? } → { marker, recording }
+app.post('/recordings/:id/markers', requireOperator('library'), express.json(), findRecording, (req, res) => {
+  const { recording } = req;
+  if (recording.markers.length >= MAX_MARKERS) {
+    return res.status(409).json({ error: `A recording can have at most ${MAX_MARKERS} markers` });
+  }
+  const marker = cleanMarker(req.body, req.operator.username);
+  if (!marker) {
+    return res.status(400).json({ error: 'time must be a number of seconds' });
+  }
+  recording.markers = sortMarkers(recording.markers.concat(marker));
+  saveRecording(recording);
+  console.log(`Marker added to recording ${recording.id} at ${marker.time}s by ${req.operator.username}`);
+  res.status(201).json({ marker, recording });
+});
+
+// PATCH /recordings/:id/markers/:markerId { time?, label? } → { marker, recording }
+app.patch(
+  '/recordings/:id/markers/:markerId',
+  requireOperator('library'),
+  express.json(),
+  findRecording,
+  findMarker,
+  (req, res) => {
+    const { recording, marker } = req;
+    const { time, label } = req.body || {};
+    const changes = {};
+    if (time !== undefined) {
+      if (typeof time !== 'number' || !Number.isFinite(time) || time < 0) {
+        return res.status(400).json({ error: 'time must be a number of seconds' });
+      }
+      changes.time = Math.round(time * 1000) / 1000;
+    }
+    if (label !== undefined) {
+      if (label !== null && typeof label !== 'string') {
+        return res.status(400).json({ error: 'label must be a string' });
+      }
+      changes.label = (label || '').trim().slice(0, MAX_MARKER_LABEL_LENGTH);
+    }
+    Object.assign(marker, changes);
+    sortMarkers(recording.markers);
+    saveRecording(recording);
+    res.json({ marker, recording });
+  }
+);
+
+// DELETE /recordings/:id/markers/:markerId → { recording }
+app.delete('/recordings/:id/markers/:markerId', requireOperator('library'), findRecording, findMarker, (req, res) => {
+  const { recording, marker } = req;
+  recording.markers = recording.markers.filter((m) => m !== marker);
+  saveRecording(recording);
+  res.json({ recording });
+});
+
+// Move a recording's file and sidecar between recordings/ and the trash
+function moveRecording(recording, deletedAt, deletedBy, callback) {
+  const fromDir = recordingDir(recording);
+  const toDir = deletedAt ? trashDir : recordingsDir;
+  fs.rename(path.join(fromDir, recording.file), path.join(toDir, recording.file), (err) => {
+    if (err && err.code !== 'ENOENT') return callback(err);
+    fs.rm(path.join(fromDir, `${recording.id}.json`), { force: true }, () => {
+      recording.deletedAt = deletedAt;
+      recording.deletedBy = deletedBy;
+      saveRecording(recording);
+      callback(null);
+    });
+  });
+}
+
+// DELETE /recordings/:id → move to the trash; ?permanent=1 removes one already there for good
+app.delete('/recordings/:id', requireOperator('library'), findRecording, (req, res) => {
+  const { recording } = req;
+  if (req.query.permanent === '1') {
+    if (!recording.deletedAt) {
+      return res.status(409).json({ error: 'Move the recording to the trash first' });
+    }
+    return purgeRecording(recording, (err) => {
+      if (err) {
+        console.error(`Could not remove recording ${recording.id}:`, err);
+        return res.status(500).json({ error: 'Unable to delete recording' });
+      }
+      console.log(`Recording ${recording.id} deleted for good by ${req.operator.username}`);
+      res.json({ recording });
+    });
+  }
+  if (recording.deletedAt) {
+    return res.status(409).json({ error: 'Recording is already in the trash' });
+  }
+  moveRecording(recording, Date.now(), req.operator.username, (err) => {
+    if (err) {
+      console.error(`Could not move recording ${recording.id} to the trash:`, err);
+      return res.status(500).json({ error: 'Unable to delete recording' });
+    }
+    console.log(`Recording ${recording.id} moved to the trash by ${req.operator.username}`);
+    res.json({ recording });
+  });
+});
+
+// POST /recordings/:id/restore → bring a recording back from the trash
+app.post('/recordings/:id/restore', requireOperator('library'), findRecording, (req, res) => {
+  const { recording } = req;
+  if (!recording.deletedAt) {
+    return res.status(409).json({ error: 'Recording is not in the trash' });
+  }
+  moveRecording(recording, null, null, (err) => {
+    if (err) {
+      console.error(`Could not restore recording ${recording.id}:`, err);
+      return res.status(500).json({ error: 'Unable to restore recording' });
+    }
+    console.log(`Recording ${recording.id} restored by ${req.operator.username}`);
+    res.json({ recording });
+  });
+});
+
+// ZIP downloads of several recordings, written straight to the response: entries are
+// stored (audio doesn't compress) with the CRC and sizes in a data descriptor after
+// the data, so each file is read once and never held in memory. ZIP64 fields are
+// added wherever a size or offset passes 4 GB.
+const ZIP64_LIMIT = 0xffffffff;
+const MAX_ZIP_RECORDINGS = 500;
+
+// CRC-32 (as in ZIP and gzip), continued from `crc` for each chunk of a file
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer, crc = 0) {
+  let c = ~crc;
+  for (let i = 0; i < buffer.length; i++) c = CRC32_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+}
+
+function dosDateTime(ms) {
+  const d = new Date(ms);
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+// Returns { addBuffer(name, buffer, mtime), addFile(name, filePath, size, mtime, callback), finish(), abort() };
+// entries must be added one after another
+function createZipStream(out) {
+  const entries = []; // for the central directory
+  let offset = 0;
+  let reading = null;
+  const write = (buffer) => {
+    offset += buffer.length;
+    return out.write(buffer);
+  };
+
+  function startEntry(name, size, mtime) {
+    const entry = { name: Buffer.from(name, 'utf8'), offset, crc: 0, size: 0, zip64: size >= ZIP64_LIMIT, ...dosDateTime(mtime) };
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(entry.zip64 ? 45 : 20, 4); // version needed
+    header.writeUInt16LE(0x0808, 6); // data descriptor follows; UTF-8 name
+    header.writeUInt16LE(0, 8); // stored
+    header.writeUInt16LE(entry.time, 10);
+    header.writeUInt16LE(entry.date, 12);
+    // CRC and sizes stay 0 here (they are in the descriptor), or 0xffffffff for ZIP64
+    if (entry.zip64) header.fill(0xff, 18, 26);
+    header.writeUInt16LE(entry.name.length, 26);
+    const extra = entry.zip64 ? Buffer.alloc(20) : Buffer.alloc(0);
+    if (entry.zip64) {
+      extra.writeUInt16LE(0x0001, 0);
+      extra.writeUInt16LE(16, 2);
+    }
+    header.writeUInt16LE(extra.length, 28);
+    write(Buffer.concat([header, entry.name, extra]));
+    return entry;
+  }
+
+  function endEntry(entry) {
+    const descriptor = Buffer.alloc(entry.zip64 ? 24 : 16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    if (entry.zip64) {
+      descriptor.writeBigUInt64LE(BigInt(entry.size), 8);
+      descriptor.writeBigUInt64LE(BigInt(entry.size), 16);
+    } else {
+      descriptor.writeUInt32LE(entry.size, 8);
+      descriptor.writeUInt32LE(entry.size, 12);
+    }
+    write(descriptor);
+    entries.push(entry);
+  }
+
+  function centralEntry(entry) {
+    const big = [];
+    if (entry.size >= ZIP64_LIMIT) big.push(entry.size, entry.size);
+    if (entry.offset >= ZIP64_LIMIT) big.push(entry.offset);
+    const extra = Buffer.alloc(big.length ? 4 + big.length * 8 : 0);
+    if (big.length) {
+      extra.writeUInt16LE(0x0001, 0);
+      extra.writeUInt16LE(big.length * 8, 2);
+      big.forEach((value, i) => extra.writeBigUInt64LE(BigInt(value), 4 + i * 8));
+    }
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(45, 4); // version made by
+    header.writeUInt16LE(big.length || entry.zip64 ? 45 : 20, 6);
+    header.writeUInt16LE(0x0808, 8);
+    header.writeUInt16LE(0, 10);
+    header.writeUInt16LE(entry.time, 12);
+    header.writeUInt16LE(entry.date, 14);
+    header.writeUInt32LE(entry.crc, 16);
+    header.writeUInt32LE(Math.min(entry.size, ZIP64_LIMIT), 20);
+    header.writeUInt32LE(Math.min(entry.size, ZIP64_LIMIT), 24);
+    header.writeUInt16LE(entry.name.length, 28);
+    header.writeUInt16LE(extra.length, 30);
+    header.writeUInt32LE(Math.min(entry.offset, ZIP64_LIMIT), 42);
+    return Buffer.concat([header, entry.name, extra]);
+  }
+
+  return {
+    addBuffer(name, buffer, mtime) {
+      const entry = startEntry(name, buffer.length, mtime);
+      entry.crc = crc32(buffer);
+      entry.size = buffer.length;
+      write(buffer);
+      endEntry(entry);
+    },
+    addFile(name, filePath, size, mtime, callback) {
+      const entry = startEntry(name, size, mtime);
+      reading = fs.createReadStream(filePath);
+      reading.on('data', (chunk) => {
+        entry.crc = crc32(chunk, entry.crc);
+        entry.size += chunk.length;
+        if (!write(chunk)) {
+          reading.pause();
+          out.once('drain', () => reading && reading.resume());
+        }
+      });
+      reading.on('error', (err) => {
+        reading = null;
+        callback(err);
+      });
+      reading.on('end', () => {
+        reading = null;
+        endEntry(entry);
+        callback(null);
+      });
+    },
+    finish() {
+      const start = offset;
+      entries.forEach((entry) => write(centralEntry(entry)));
+      const length = offset - start;
+      if (entries.length >= 0xffff || start >= ZIP64_LIMIT || length >= ZIP64_LIMIT) {
+        const record = Buffer.alloc(56);
+        record.writeUInt32LE(0x06064b50, 0);
+        record.writeBigUInt64LE(44n, 4); // size of the rest of this record
+        record.writeUInt16LE(45, 12);
+        record.writeUInt16LE(45, 14);
+        record.writeBigUInt64LE(BigInt(entries.length), 24);
+        record.writeBigUInt64LE(BigInt(entries.length), 32);
+        record.writeBigUInt64LE(BigInt(length), 40);
+        record.writeBigUInt64LE(BigInt(start), 48);
+        const locator = Buffer.alloc(20);
+        locator.writeUInt32LE(0x07064b50, 0);
+        locator.writeBigUInt64LE(BigInt(offset), 8);
+        locator.writeUInt32LE(1, 16);
+        write(Buffer.concat([record, locator]));
+      }
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(Math.min(entries.length, 0xffff), 8);
+      end.writeUInt16LE(Math.min(entries.length, 0xffff), 10);
+      end.writeUInt32LE(Math.min(length, ZIP64_LIMIT), 12);
+      end.writeUInt32LE(Math.min(start, ZIP64_LIMIT), 16);
+      write(end);
+      out.end();
+    },
+    abort() {
+      if (reading) reading.destroy();
+      reading = null;
+    },
+  };
+}
+
+// POST /recordings/zip { ids } (a JSON list, or comma-separated from a form) → recordings.zip
+// holding each recording as "<title>.<ext>" with its sidecar as "<title>.json" (`library` permission; recordings in the trash are left out)
+app.post('/recordings/zip', requireOperator('library'), express.json(), express.urlencoded({ extended: false }), (req, res) => {
+  let ids = req.body && req.body.ids;
+  if (typeof ids === 'string') ids = ids.split(',');
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return res.status(400).json({ error: 'ids must list the recordings to download' });
+  }
+  if (ids.length > MAX_ZIP_RECORDINGS) {
+    return res.status(400).json({ error: `At most ${MAX_ZIP_RECORDINGS} recordings per download` });
+  }
+
+  // Stat everything first: a missing file is left out rather than breaking the stream
+  const taken = new Set();
+  const items = [];
+  new Set(ids.map(String)).forEach((id) => {
+    const recording = recordings.get(id);
+    // Like the static route, never hand out the trash
+    if (!recording || recording.deletedAt) return;
+    const filePath = path.join(recordingsDir, recording.file);
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (err) {
+      console.warn(`Leaving recording ${id} out of a ZIP: ${err.message}`);
+      return;
+    }
+    const safe = downloadBaseName(recording);
+    let name = safe;
+    for (let n = 2; taken.has(name.toLowerCase()); n++) name = `${safe} (${n})`;
+    taken.add(name.toLowerCase());
+    items.push({ recording, filePath, size: stat.size, name });
+  });
+  if (items.length === 0) {
+    return res.status(404).json({ error: 'None of those recordings could be found' });
+  }
+
+  res.attachment(`recordings-${new Date().toISOString().slice(0, 10)}.zip`);
+  res.type('application/zip');
+  const zip = createZipStream(res);
+  let finished = false;
+  res.on('close', () => {
+    if (!finished) zip.abort();
+  });
+  const next = () => {
+    const item = items.shift();
+    if (!item) {
+      finished = true;
+      console.log(`ZIP of recordings sent to ${req.operator.username}`);
+      return zip.finish();
+    }
+    const mtime = item.recording.startedAt || item.recording.uploadedAt;
+    zip.addBuffer(`${item.name}.json`, Buffer.from(JSON.stringify(item.recording, null, 2)), mtime);
+    zip.addFile(`${item.name}${path.extname(item.recording.file)}`, item.filePath, item.size, mtime, (err) => {
+      if (err) {
+        // Too late for an error status: cut the download short so it isn't mistaken for complete
+        console.error(`ZIP of recordings failed on ${item.recording.id}:`, err.message);
+        return res.destroy(err);
+      }
+      if (!res.destroyed) next();
+    });
+  };
+  next();
+});
+
+// Serve individual recordings statically at /recordings/<file> to `library` operators (not the sidecars
+// or the trash)
+app.use('/recordings', requireOperator('library'), (req, res, next) => {
+  if (req.path.endsWith('.json')) {
+    return res.status(404).end();
+  }
+  next();
+});
+app.use(
+  '/recordings',
+  express.static(recordingsDir, {
+    // optional: set cache headers if desired
+    maxAge: '1h',
+    // keeps recordings/.trash private (the default still serves files inside dot-folders)
+    dotfiles: 'ignore',
+  })
+);
+
+// GET /rooms → list active rooms so studios can pick one (operators only: show names are not public)
+app.get('/rooms', requireOperator(), (req, res) => {
+  const list = [];
+  rooms.forEach((room, name) => {
+    list.push({ name, studios: room.studios.size, remotes: room.remotes.size });
+  });
+  res.json({ rooms: list });
+});
+
+// === 4) AUDIO PROCESSING (ffmpeg) ===
+
+// Recordings are decoded with the ffmpeg binary (FFMPEG_PATH, default `ffmpeg` on the PATH).
+// Every ffmpeg job – peaks, loudness, exports and clips – goes through one queue and runs
+// FFMPEG_CONCURRENCY at a time (default one), so a burst of uploads can't starve the
+// signalling server.
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFMPEG_CONCURRENCY = Math.max(1, Math.floor(Number(process.env.FFMPEG_CONCURRENCY)) || 1);
+const ffmpegQueue = [];
+let ffmpegRunning = 0;
+
+// Run job(done) once a slot is free; the job calls done() when its ffmpeg has finished
+function queueFfmpegJob(job) {
+  ffmpegQueue.push(job);
+  runNextFfmpegJobs();
+}
+
+function runNextFfmpegJobs() {
+  while (ffmpegRunning < FFMPEG_CONCURRENCY && ffmpegQueue.length) {
+    const job = ffmpegQueue.shift();
+    let finished = false;
+    ffmpegRunning += 1;
+    job(() => {
+      if (finished) return;
+      finished = true;
+      ffmpegRunning -= 1;
+      runNextFfmpegJobs();
+    });
+  }
+}
+
+// Run ffmpeg with `args`; onStdout gets raw output chunks. callback(err, stderr) once it
+// exits, with the end of what it logged (errors only, unless args raise -loglevel).
+function runFfmpeg(args, onStdout, callback) {
+  const child = spawn(FFMPEG_PATH, ['-hide_banner', '-nostdin', '-loglevel', 'error', ...args]);
+  let stderr = '';
+  let finished = false;
+  const finish = (err) => {
+    if (finished) return;
+    finished = true;
+    callback(err, stderr);
+  };
+  child.stdout.on('data', onStdout);
+  child.stderr.on('data', (data) => {
+    stderr = (stderr + data).slice(-2000);
+  });
+  // 'error' (e.g. ffmpeg not installed) can be followed by 'close'; report once
+  child.on('error', finish);
+  child.on('close', (code) => {
+    finish(code === 0 ? null : new Error(`ffmpeg exited with ${code}: ${stderr.trim()}`));
+  });
+}
+
+// Waveform peaks: min/max per bucket, per channel, as 8-bit values (-127…127), stored in
+// recordings/.peaks/<id>.json and served by GET /recordings/:id/peaks so the library can
+// draw thumbnails without downloading audio. Audio is decoded at PEAKS_SAMPLE_RATE,
+// which is plenty for a picture, in PEAKS_BUCKET_SECONDS buckets that are then merged
+// down to at most MAX_PEAK_BUCKETS.
+const peaksDir = path.join(recordingsDir, '.peaks');
+if (!fs.existsSync(peaksDir)) {
+  fs.mkdirSync(peaksDir);
+}
+const PEAKS_SAMPLE_RATE = 16000;
+const PEAKS_BUCKET_SECONDS = 0.05;
+const MAX_PEAK_BUCKETS = 2000;
+const MAX_PEAK_CHANNELS = 2;
+
+// peaksJobs: Map<recordingId, 'queued'|'running'|'failed'>; absent once the peaks file exists
+const peaksJobs = new Map();
+
+function peaksPath(recordingId) {
+  return path.join(peaksDir, `${recordingId}.json`);
+}
+
+function queuePeaks(recording) {
+  if (peaksJobs.get(recording.id) === 'queued' || peaksJobs.get(recording.id) === 'running') return;
+  peaksJobs.set(recording.id, 'queued');
+  queueFfmpegJob((done) => runPeaksJob(recording.id, done));
+}
+
+function runPeaksJob(recordingId, done) {
+  const recording = recordings.get(recordingId);
+  if (!recording) {
+    peaksJobs.delete(recordingId);
+    return done();
+  }
+  peaksJobs.set(recordingId, 'running');
+  computePeaks(path.join(recordingDir(recording), recording.file), recording.channels, (err, peaks) => {
+    if (err) {
+      console.error(`Waveform peaks failed for recording ${recordingId}:`, err.message);
+      peaksJobs.set(recordingId, 'failed');
+    } else {
+      fs.writeFileSync(peaksPath(recordingId), JSON.stringify(peaks));
+      peaksJobs.delete(recordingId);
+      // Fill in what the uploader couldn't tell us (e.g. files from before sidecars)
+      if (recording.duration === null || recording.channels === null) {
+        if (recording.duration === null) recording.duration = peaks.duration;
+        if (recording.channels === null) recording.channels = peaks.channels;
+        saveRecording(recording);
+      }
+    }
+    done();
+  });
+}
+
+// Decode an audio file (a recording or a reporter segment) to 16-bit PCM and reduce it to
+// per-channel min/max buckets; sourceChannels may be null if unknown
+function computePeaks(filePath, sourceChannels, callback) {
+  const channels = Math.min(sourceChannels || MAX_PEAK_CHANNELS, MAX_PEAK_CHANNELS);
+  const samplesPerBucket = Math.round(PEAKS_SAMPLE_RATE * PEAKS_BUCKET_SECONDS);
+  const mins = Array.from({ length: channels }, () => []);
+  const maxs = Array.from({ length: channels }, () => []);
+  const low = new Array(channels).fill(0);
+  const high = new Array(channels).fill(0);
+  let inBucket = 0;
+  let frames = 0;
+  let leftover = Buffer.alloc(0);
+  const frameBytes = 2 * channels;
+
+  const flushBucket = () => {
+    for (let c = 0; c < channels; c++) {
+      mins[c].push(low[c]);
+      maxs[c].push(high[c]);
+      low[c] = 0;
+      high[c] = 0;
+    }
+    inBucket = 0;
+  };
+
+  const args = [
+    '-i', filePath,
+    '-vn', '-ac', String(channels), '-ar', String(PEAKS_SAMPLE_RATE), '-f', 's16le', '-acodec', 'pcm_s16le', 'pipe:1',
+  ];
+  runFfmpeg(
+    args,
+    (chunk) => {
+      const data = leftover.length ? Buffer.concat([leftover, chunk]) : chunk;
+      const usable = data.length - (data.length % frameBytes);
+      for (let offset = 0; offset < usable; offset += frameBytes) {
+        for (let c = 0; c < channels; c++) {
+          const sample = data.readInt16LE(offset + c * 2);
+          if (sample < low[c]) low[c] = sample;
+          if (sample > high[c]) high[c] = sample;
+        }
+        frames += 1;
+        inBucket += 1;
+        if (inBucket === samplesPerBucket) flushBucket();
+      }
+      leftover = data.subarray(usable);
+    },
+    (err) => {
+      if (err) return callback(err);
+      if (inBucket > 0) flushBucket();
+
+      // Merge neighbouring buckets until there are at most MAX_PEAK_BUCKETS
+      const factor = Math.max(1, Math.ceil(mins[0].length / MAX_PEAK_BUCKETS));
+      const scale = (value) => Math.round((value / 32768) * 127);
+      const data = mins.map((channelMins, c) => {
+        const out = [];
+        for (let i = 0; i < channelMins.length; i += factor) {
+          out.push(
+            scale(Math.min(...channelMins.slice(i, i + factor))),
+            scale(Math.max(...maxs[c].slice(i, i + factor)))
+          );
+        }
+        return out;
+      });
+      callback(null, {
+        version: 1,
+        channels,
+        sampleRate: PEAKS_SAMPLE_RATE,
+        samplesPerBucket: samplesPerBucket * factor,
+        buckets: data[0].length / 2,
+        duration: Math.round((frames / PEAKS_SAMPLE_RATE) * 10) / 10,
+        data, // per channel: [min0, max0, min1, max1, …]
+      });
+    }
+  );
+}
+
+// Peak data from `file`, or 202 { status } while its job is queued or running;
+// requeue() makes it again if it was never made
+function sendPeaksFile(res, status, file, requeue) {
+  if (status === 'failed') {
+    return res.status(422).json({ error: 'Could not read this recording\'s audio' });
+  }
+  if (status) {
+    return res.status(202).json({ status });
+  }
+  res.sendFile(file, { maxAge: '1h' }, (err) => {
+    if (err && !res.headersSent) {
+      // Never made (e.g. ffmpeg was missing): try again now
+      requeue();
+      res.status(202).json({ status: 'queued' });
+    }
+  });
+}
+
+// A recording's peaks (also used by share links)
+function sendPeaks(recording, res) {
+  sendPeaksFile(res, peaksJobs.get(recording.id), peaksPath(recording.id), () => queuePeaks(recording));
+}
+
+// GET /recordings/:id/peaks → peak data, or 202 { status } while it is being made
+app.get('/recordings/:id/peaks', requireOperator('library'), findRecording, (req, res) => sendPeaks(req.recording, res));
+
+// Loudness: EBU R128 integrated loudness, loudness range and true peak, measured with
+// ffmpeg's loudnorm filter (which prints them as JSON when it finishes) and stored in the
+// sidecar. Normalised exports reuse them for an accurate, linear gain where possible.
+// loudnessJobs: Map<recordingId, 'queued'|'running'|'failed'>; absent once measured
+const loudnessJobs = new Map();
+
+function queueLoudness(recording) {
+  if (loudnessJobs.get(recording.id) === 'queued' || loudnessJobs.get(recording.id) === 'running') return;
+  loudnessJobs.set(recording.id, 'queued');
+  queueFfmpegJob((done) => runLoudnessJob(recording.id, done));
+}
+
+function runLoudnessJob(recordingId, done) {
+  const recording = recordings.get(recordingId);
+  if (!recording) {
+    loudnessJobs.delete(recordingId);
+    return done();
+  }
+  loudnessJobs.set(recordingId, 'running');
+  measureLoudness(recording, (err, loudness) => {
+    if (err) {
+      console.error(`Loudness measurement failed for recording ${recordingId}:`, err.message);
+      loudnessJobs.set(recordingId, 'failed');
+    } else {
+      loudnessJobs.delete(recordingId);
+      recording.loudness = loudness;
+      saveRecording(recording);
+    }
+    done();
+  });
+}
+
+function measureLoudness(recording, callback) {
+  const args = [
+    '-loglevel', 'info', '-nostats',
+    '-i', path.join(recordingDir(recording), recording.file),
+    '-vn', '-af', 'loudnorm=print_format=json', '-f', 'null', '-',
+  ];
+  runFfmpeg(args, () => {}, (err, stderr) => {
+    if (err) return callback(err);
+    let measured;
+    try {
+      measured = JSON.parse(stderr.slice(stderr.lastIndexOf('{'), stderr.lastIndexOf('}') + 1));
+    } catch (parseErr) {
+      return callback(new Error('no loudnorm summary in ffmpeg output'));
+    }
+    // Silence measures as -inf; stored as null
+    const value = (text) => {
+      const n = Number(text);
+      return Number.isFinite(n) ? Math.round(n * 10) / 10 : null;
+    };
+    callback(null, {
+      integrated: value(measured.input_i),
+      range: value(measured.input_lra),
+      truePeak: value(measured.input_tp),
+      threshold: value(measured.input_thresh),
+    });
+  });
+}
+
+// Clips: a range of a recording cut into a new recording (the source is untouched) with
+// `source` pointing back at it. The range is re-encoded in the source's format so the
+// cut lands where it was asked for, not on the nearest packet.
+const CLIP_FORMATS = {
+  '.webm': { args: ['-c:a', 'libopus', '-b:a', '128k'], codec: 'opus' },
+  '.ogg': { args: ['-c:a', 'libopus', '-b:a', '128k'], codec: 'opus' },
+  '.wav': { args: ['-c:a', 'pcm_s16le'], codec: 'pcm_s16le' },
+  '.m4a': { args: ['-c:a', 'aac', '-b:a', '192k'], codec: 'aac' },
+  '.mp3': { args: ['-c:a', 'libmp3lame', '-b:a', '192k'], codec: 'mp3' },
+  '.flac': { args: ['-c:a', 'flac'], codec: 'flac' },
+};
+const MIN_CLIP_SECONDS = 0.1;
+
+function formatClipTime(seconds) {
+  const mm = String(Math.floor(seconds / 60)).padStart(2, '0');
+  const ss = (seconds % 60).toFixed(1).padStart(4, '0');
+  return `${mm}:${ss}`;
+}
+
+// clipJobs: Map<job id, { id, recordingId, status: 'queued'|'running'|'ready'|'failed', clipId, code, error }>;
+// finished jobs are forgotten after CLIP_JOB_TTL_MS
+const clipJobs = new Map();
+const CLIP_JOB_TTL_MS = 10 * 60 * 1000;
+
+function finishClipJob(job, fields) {
+  Object.assign(job, fields);
+  setTimeout(() => clipJobs.delete(job.id), CLIP_JOB_TTL_MS).unref();
+}
+
+// Cut the clip once the job's turn comes. The source is looked up again here: it may
+// have been moved to the trash, or deleted, while the job was waiting.
+function runClipJob(job, { start, end, title, uploadedBy }, done) {
+  const source = recordings.get(job.recordingId);
+  if (!source || source.deletedAt) {
+    finishClipJob(job, { status: 'failed', code: 409, error: 'The recording was moved to the trash or deleted before the clip was cut' });
+    return done();
+  }
+  job.status = 'running';
+  const ext = path.extname(source.file).toLowerCase();
+  const format = CLIP_FORMATS[ext] || CLIP_FORMATS['.webm'];
+  const mimeType = source.mimeType || 'audio/webm';
+  const { id, file } = newRecordingFile(CLIP_FORMATS[ext] ? mimeType : 'audio/webm');
+  const output = path.join(recordingsDir, file);
+  const name = source.title || source.contributor || source.originalName;
+  const range = `${formatClipTime(start)}–${formatClipTime(end)}`;
+  const args = [
+    '-ss', start.toFixed(3), '-i', path.join(recordingDir(source), source.file), '-t', (end - start).toFixed(3),
+    '-vn', '-map_metadata', '-1', ...format.args, '-y', output,
+  ];
+  runFfmpeg(args, () => {}, (err) => {
+    done();
+    if (err) {
+      console.error(`Clip of recording ${source.id} failed:`, err.message);
+      fs.rm(output, { force: true }, () => {});
+      return finishClipJob(job, { status: 'failed', code: 422, error: 'Could not cut a clip from this recording\'s audio' });
+    }
+    fs.stat(output, (statErr, stat) => {
+      if (statErr) {
+        return finishClipJob(job, { status: 'failed', code: 500, error: 'Unable to save clip' });
+      }
+      const startedAt = source.startedAt ? source.startedAt + Math.round(start * 1000) : null;
+      const recording = addRecording(
+        {
+          id,
+          file,
+          originalName: `${path.basename(source.originalName, path.extname(source.originalName))} (clip ${range})${path.extname(file)}`,
+          mimeType,
+          size: stat.size,
+          uploadedBy,
+        },
+        {
+          contributor: source.contributor,
+          room: source.room,
+          startedAt,
+          endedAt: startedAt ? startedAt + Math.round((end - start) * 1000) : null,
+          codec: format.codec,
+          channels: source.channels,
+        },
+        {
+          // exact when the source's length is known (the range was clamped to it)
+          ...(source.duration ? { duration: Math.round((end - start) * 10) / 10 } : {}),
+          title: (title || '').trim().slice(0, MAX_RECORDING_TITLE_LENGTH) || `${name} (clip ${range})`.slice(0, MAX_RECORDING_TITLE_LENGTH),
+          tags: source.tags.slice(),
+          markers: source.markers
+            .filter((marker) => marker.time >= start && marker.time <= end)
+            .map((marker) => ({ ...marker, id: crypto.randomUUID(), time: Math.round((marker.time - start) * 1000) / 1000 })),
+          source: { recordingId: source.id, name, start, end },
+        }
+      );
+      finishClipJob(job, { status: 'ready', clipId: recording.id });
+    });
+  });
+}
+
+// POST /recordings/:id/clips { start, end, title? } (seconds) → 202 { status: 'queued', job }; the
+//   clip is cut in turn with the other ffmpeg jobs; poll GET /recordings/:id/clips/<job>
+app.post('/recordings/:id/clips', requireOperator('library'), requireStorage(), express.json(), findRecording, (req, res) => {
+  const { recording: source } = req;
+  if (source.deletedAt) {
+    return res.status(409).json({ error: 'Restore the recording before cutting clips from it' });
+  }
+  const { title } = req.body || {};
+  const start = Number(req.body && req.body.start);
+  let end = Number(req.body && req.body.end);
+  if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0) {
+    return res.status(400).json({ error: 'start and end must be numbers of seconds' });
+  }
+  if (source.duration) end = Math.min(end, source.duration);
+  if (end - start < MIN_CLIP_SECONDS) {
+    return res.status(400).json({ error: 'The clip must end after it starts' });
+  }
+  if (title !== undefined && title !== null && typeof title !== 'string') {
+    return res.status(400).json({ error: 'title must be a string' });
+  }
+
+  const job = { id: crypto.randomUUID(), recordingId: source.id, status: 'queued', clipId: null, code: null, error: null };
+  clipJobs.set(job.id, job);
+  queueFfmpegJob((done) => runClipJob(job, { start, end, title, uploadedBy: req.operator.username }, done));
+  res.status(202).json({ status: 'queued', job: job.id });
+});
+
+// GET /recordings/:id/clips/<job> → { status: 'ready', recording } for the new clip, 202 { status }
+//   while queued or running, or the error (409 source deleted, 422 ffmpeg failed) once it failed
+app.get('/recordings/:id/clips/:job', requireOperator('library'), findRecording, (req, res) => {
+  const job = clipJobs.get(req.params.job);
+  if (!job || job.recordingId !== req.recording.id) {
+    return res.status(404).json({ error: 'No such clip job' });
+  }
+  if (job.status === 'failed') {
+    return res.status(job.code).json({ error: job.error });
+  }
+  if (job.status !== 'ready') {
+    return res.status(202).json({ status: job.status });
+  }
+  const recording = recordings.get(job.clipId);
+  if (!recording) {
+    return res.status(404).json({ error: 'The clip has since been deleted' });
+  }
+  res.json({ status: 'ready', recording });
+});
+
+// Exports: a recording transcoded for playout and editing systems, made on request (queued
+// with the other ffmpeg jobs) and cached as recordings/.exports/<id>-<name>, where name is
+// <sampleRate>.<ext> or, normalised to -N LUFS, <sampleRate>-<N>lufs.<ext>; a recording's
+// audio never changes, so neither do they. WAV is 24-bit Broadcast WAV with a bext chunk
+// (title, originator, origination date/time and time reference).
+const exportsDir = path.join(recordingsDir, '.exports');
+if (!fs.existsSync(exportsDir)) {
+  fs.mkdirSync(exportsDir);
+}
+const EXPORT_FORMATS = {
+  wav: { ext: '.wav', args: ['-c:a', 'pcm_s24le', '-write_bext', '1', '-rf64', 'auto'] },
+  flac: { ext: '.flac', args: ['-c:a', 'flac'] },
+  mp3: { ext: '.mp3', args: ['-c:a', 'libmp3lame', '-b:a', '320k', '-id3v2_version', '3'] },
+};
+const EXPORT_SAMPLE_RATES = [44100, 48000];
+const DEFAULT_EXPORT_SAMPLE_RATE = 48000;
+const EXPORT_LOUDNESS_TARGETS = [-24, -23, -16, -14]; // LUFS
+const EXPORT_TRUE_PEAK = -1; // dBTP ceiling when normalising
+// bext "originator" (at most 32 characters)
+const BWF_ORIGINATOR = (process.env.BWF_ORIGINATOR || 'BRFM').slice(0, 32);
+
+// exportJobs: Map<export file name, 'queued'|'running'|'failed'>; absent once the file exists
+const exportJobs = new Map();
+
+// options: { format, sampleRate, target } where target is a LUFS value or null (as recorded)
+function exportName({ format, sampleRate, target }) {
+  return `${sampleRate}${target ? `-${-target}lufs` : ''}${EXPORT_FORMATS[format].ext}`;
+}
+
+function exportFileName(recording, options) {
+  return `${recording.id}-${exportName(options)}`;
+}
+
+function queueExport(recording, options) {
+  const name = exportFileName(recording, options);
+  if (exportJobs.has(name)) return;
+  exportJobs.set(name, 'queued');
+  queueFfmpegJob((done) => runExportJob({ recordingId: recording.id, options, name }, done));
+}
+
+function runExportJob(job, done) {
+  const recording = recordings.get(job.recordingId);
+  if (!recording) {
+    exportJobs.delete(job.name);
+    return done();
+  }
+  exportJobs.set(job.name, 'running');
+  // Written under a temporary name so a half-made file is never served
+  const { format, sampleRate, target } = job.options;
+  const output = path.join(exportsDir, job.name);
+  const args = [
+    '-i', path.join(recordingDir(recording), recording.file),
+    '-vn', '-map_metadata', '-1',
+    ...(target ? ['-af', normaliseFilter(recording, target)] : []),
+    '-ar', String(sampleRate),
+    ...EXPORT_FORMATS[format].args, ...exportMetadata(recording, format, sampleRate),
+    '-f', format, '-y', `${output}.part`,
+  ];
+  runFfmpeg(args, () => {}, (err) => {
+    if (!err) {
+      try {
+        fs.renameSync(`${output}.part`, output);
+      } catch (renameErr) {
+        err = renameErr;
+      }
+    }
+    if (err) {
+      console.error(`Export ${job.name} failed for recording ${recording.id}:`, err.message);
+      fs.rm(`${output}.part`, { force: true }, () => {});
+      exportJobs.set(job.name, 'failed');
+    } else {
+      console.log(`Recording ${recording.id} exported as ${format} at ${sampleRate} Hz${target ? `, ${target} LUFS` : ''}`);
+      exportJobs.delete(job.name);
+    }
+    done();
+  });
+}
+
+// loudnorm towards `target` LUFS under the true-peak ceiling. Given the stored measurement it
+// applies a single linear gain (falling back to dynamic processing only if that would clip);
+// without one it measures as it goes.
+function normaliseFilter(recording, target) {
+  const options = [`I=${target}`, `TP=${EXPORT_TRUE_PEAK}`, 'LRA=20'];
+  const { loudness } = recording;
+  if (loudness && [loudness.integrated, loudness.range, loudness.truePeak, loudness.threshold].every((v) => v !== null)) {
+    options.push(
+      `measured_I=${loudness.integrated}`,
+      `measured_LRA=${loudness.range}`,
+      `measured_TP=${loudness.truePeak}`,
+      `measured_thresh=${loudness.threshold}`,
+      'linear=true'
+    );
+  }
+  return `loudnorm=${options.join(':')}`;
+}
+
+// Tags for the exported file (plus the bext fields for WAV)
+function exportMetadata(recording, format, sampleRate) {
+  const title = recording.title || recording.contributor || recording.originalName;
+  const started = new Date(recording.startedAt || recording.uploadedAt);
+  const iso = started.toISOString();
+  const metadata = {
+    title,
+    artist: recording.contributor,
+    date: iso.slice(0, 10),
+    comment: recording.notes,
+  };
+  if (format === 'wav') {
+    const sinceMidnight = started.getTime() - Date.UTC(started.getUTCFullYear(), started.getUTCMonth(), started.getUTCDate());
+    Object.assign(metadata, {
+      description: title.slice(0, 256),
+      originator: BWF_ORIGINATOR,
+      originator_reference: recording.id.replace(/-/g, '').slice(0, 32),
+      origination_date: iso.slice(0, 10),
+      origination_time: iso.slice(11, 19),
+      time_reference: String(Math.round((sinceMidnight / 1000) * sampleRate)),
+    });
+  }
+  return Object.entries(metadata)
+    .filter(([, value]) => value)
+    .flatMap(([key, value]) => ['-metadata', `${key}=${value}`]);
+}
+
+// POST /recordings/:id/exports { format: wav|flac|mp3, sampleRate: 44100|48000, target? } (`library`
+//   permission); target normalises to -24, -23, -16 or -14 LUFS (omit or null: as recorded)
+//   → { status: 'ready', url, size } once made, else 202 { status } (poll again), or 422 if
+//   the transcode failed (asking again retries it)
+app.post('/recordings/:id/exports', requireOperator('library'), requireStorage(), express.json(), findRecording, (req, res) => {
+  const { recording } = req;
+  const { format } = req.body || {};
+  const sampleRate = req.body && req.body.sampleRate !== undefined ? Number(req.body.sampleRate) : DEFAULT_EXPORT_SAMPLE_RATE;
+  const target = req.body && req.body.target !== undefined && req.body.target !== null ? Number(req.body.target) : null;
+  if (recording.deletedAt) {
+    return res.status(409).json({ error: 'Restore the recording before exporting it' });
+  }
+  if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+    return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  if (!EXPORT_SAMPLE_RATES.includes(sampleRate)) {
+    return res.status(400).json({ error: `sampleRate must be one of ${EXPORT_SAMPLE_RATES.join(', ')}` });
+  }
+  if (target !== null && !EXPORT_LOUDNESS_TARGETS.includes(target)) {
+    return res.status(400).json({ error: `target must be one of ${EXPORT_LOUDNESS_TARGETS.join(', ')} (LUFS)` });
+  }
+  const options = { format, sampleRate, target };
+  const name = exportFileName(recording, options);
+  const status = exportJobs.get(name);
+  if (status === 'failed') {
+    exportJobs.delete(name);
+    return res.status(422).json({ error: 'Could not transcode this recording\'s audio' });
+  }
+  if (status) {
+    return res.status(202).json({ status });
+  }
+  fs.stat(path.join(exportsDir, name), (err, stat) => {
+    if (err) {
+      queueExport(recording, options);
+      return res.status(202).json({ status: 'queued' });
+    }
+    res.json({ status: 'ready', url: `/recordings/${recording.id}/exports/${exportName(options)}`, size: stat.size });
+  });
+});
+
+// GET /recordings/:id/exports/<name> (see exportName) → a made export, downloaded as
+// "<title>.<ext>" (or "<title> -23 LUFS.<ext>")
+app.get('/recordings/:id/exports/:name', requireOperator('library'), findRecording, (req, res) => {
+  const { recording } = req;
+  const match = /^(\d+)(?:-(\d+)lufs)?(\.\w+)$/.exec(req.params.name);
+  const format = match && Object.keys(EXPORT_FORMATS).find((key) => EXPORT_FORMATS[key].ext === match[3]);
+  if (!format || recording.deletedAt) {
+    return res.status(404).json({ error: 'No such export' });
+  }
+  const target = match[2] ? -Number(match[2]) : null;
+  const suffix = target ? ` ${target} LUFS` : '';
+  const downloadName = `${downloadBaseName(recording)}${suffix}${match[3]}`;
+  const options = { format, sampleRate: Number(match[1]), target };
+  res.download(path.join(exportsDir, exportFileName(recording, options)), downloadName, (err) => {
+    if (err && !res.headersSent) {
+      res.status(404).json({ error: 'Not exported yet; POST /recordings/:id/exports first' });
+    }
+  });
+});
+
+// Recordings without peaks or loudness (uploaded before these existed, or while ffmpeg was down)
+recordings.forEach((recording) => {
+  if (!fs.existsSync(peaksPath(recording.id))) queuePeaks(recording);
+  if (!recording.loudness) queueLoudness(recording);
+});
+
+// === 5) CONTRIBUTOR INVITES ===
+
+// Invite tokens are `<payload>.<signature>`, both base64url. The payload is
+// { name, room, role, exp } and the signature an HMAC-SHA256 over the encoded payload.
+// Set INVITE_SECRET so links survive a restart; otherwise a random secret is used.
+const INVITE_SECRET = process.env.INVITE_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.INVITE_SECRET) {
+  console.warn('INVITE_SECRET not set; invite links will stop working when the server restarts.');
+}
+// With REQUIRE_INVITES=1, contributors can only join through an invite link
+const REQUIRE_INVITES = process.env.REQUIRE_INVITES === '1';
+
+const INVITE_ROLES = {
+  remote: { page: 'remote.html', joinRole: 'remote' },
+  sports: { page: 'sports.html', joinRole: 'sports-remote' },
+};
+const MAX_INVITE_MINUTES = 7 * 24 * 60;
+
+function signInvite(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const sig = crypto.createHmac('sha256', INVITE_SECRET).update(body).digest('base64url');
+  return `${body}.${sig}`;
+}
+
+// Returns the invite payload, or null if the token is malformed, forged or expired
+function verifyInvite(token) {
+  if (typeof token !== 'string') return null;
+  const [body, sig] = token.split('.');
+  if (!body || !sig) return null;
+
+  const expected = crypto.createHmac('sha256', INVITE_SECRET).update(body).digest();
+  const given = Buffer.from(sig, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+  } catch (err) {
+    return null;
+  }
+  if (!payload || typeof payload.exp !== 'number' || payload.exp < Date.now()) {
+    return null;
+  }
+  return payload;
+}
+
+// POST /invites { name, room, role, expiresInMinutes } → { token, path, expiresAt }
+app.post('/invites', requireOperator('invite'), express.json(), (req, res) => {
+  const { name, room, role = 'remote', expiresInMinutes = 240 } = req.body || {};
+  const displayName = String(name || '').trim().slice(0, 64);
+  if (!displayName) {
+    return res.status(400).json({ error: 'Display name is required' });
+  }
+  if (!INVITE_ROLES[role]) {
+    return res.status(400).json({ error: `Role must be one of: ${Object.keys(INVITE_ROLES).join(', ')}` });
+  }
+  const minutes = Number(expiresInMinutes);
+  if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_INVITE_MINUTES) {
+    return res.status(400).json({ error: `expiresInMinutes must be between 1 and ${MAX_INVITE_MINUTES}` });
+  }
+
+  const payload = {
+    name: displayName,
+    room: normaliseRoom(room),
+    role,
+    exp: Date.now() + Math.round(minutes * 60 * 1000),
+  };
+  const token = signInvite(payload);
+  console.log(`Invite issued: ${payload.name} (${role}) for room "${payload.room}"`);
+  res.json({
+    token,
+    path: `/${INVITE_ROLES[role].page}?invite=${encodeURIComponent(token)}`,
+    expiresAt: new Date(payload.exp).toISOString(),
+  });
+});
+
+// Resolve a contributor's `join` against their invite.
+// Returns { name, room } to use, or { error } if the join must be refused.
+function resolveContributorJoin(msg) {
+  if (msg.invite) {
+    const invite = verifyInvite(msg.invite);
+    if (!invite) {
+      return { error: 'Invite link is invalid or has expired' };
+    }
+    if (INVITE_ROLES[invite.role].joinRole !== msg.role) {
+      return { error: 'Invite link is not valid for this page' };
+    }
+    return { name: invite.name, room: invite.room };
+  }
+  if (REQUIRE_INVITES) {
+    return { error: 'An invite link is required to join' };
+  }
+  return { name: msg.name || 'Unknown', room: normaliseRoom(msg.room) };
+}
+
+function rejectJoin(ws, reason) {
+  console.warn('Join rejected:', reason);
+  ws.send(JSON.stringify({ type: 'join-rejected', reason }));
+  ws.close(4003, 'join rejected');
+}
+
+// === 6) ICE SERVERS & TURN CREDENTIALS ===
+
+// Clients fetch their ICE configuration from GET /ice-config instead of embedding
+// TURN credentials. With TURN_SECRET set (coturn `use-auth-secret` / `static-auth-secret`)
+// each request gets short-lived credentials per the TURN REST API:
+//   username   = `<expiry unix seconds>:<label>`
+//   credential = base64(HMAC-SHA1(TURN_SECRET, username))
+const splitList = (value) => String(value || '').split(',').map((s) => s.trim()).filter(Boolean);
+const STUN_URLS = splitList(process.env.STUN_URLS || 'stun:stun.l.google.com:19302');
+const TURN_URLS = splitList(process.env.TURN_URLS || 'turn:turn.nkpa.co.uk:3478');
+const TURN_SECRET = process.env.TURN_SECRET || '';
+const TURN_TTL_SECONDS = Number(process.env.TURN_TTL_SECONDS) || 6 * 60 * 60;
+if (!TURN_SECRET) {
+  console.warn('TURN_SECRET not set; /ice-config will only offer STUN servers.');
+}
+
+function createTurnCredentials(label) {
+  const expiry = Math.floor(Date.now() / 1000) + TURN_TTL_SECONDS;
+  const username = `${expiry}:${label}`;
+  const credential = crypto.createHmac('sha1', TURN_SECRET).update(username).digest('base64');
+  return { username, credential };
+}
+
+// GET /ice-config → { iceServers, ttl }
+app.get('/ice-config', (req, res) => {
+  const iceServers = [];
+  if (STUN_URLS.length) {
+    iceServers.push({ urls: STUN_URLS });
+  }
+  if (TURN_SECRET && TURN_URLS.length) {
+    const session = getSession(req);
+    const label = session ? session.username : `guest-${crypto.randomBytes(4).toString('hex')}`;
+    iceServers.push({ urls: TURN_URLS, ...createTurnCredentials(label) });
+  }
+  res.set('Cache-Control', 'no-store');
+  res.json({ iceServers, ttl: TURN_TTL_SECONDS });
+});
+
+// === 7) SIGNALLING MESSAGE SCHEMAS ===
+
+// Every WebSocket message type is declared here with who may send it and the
+// fields it carries. Anything that doesn't match is answered with
+// { type:'error', code, ref, field?, message } and never reaches the router.
+//   sender: 'any' | 'studio' | 'remote' (any joined contributor) | 'sports' (a sports reporter)
+//   field rule: { type, required, max, min, oneOf }; `max` is a length for strings
+const MAX_NAME_LENGTH = 64;
+const MAX_ID_LENGTH = 64;
+const MAX_SDP_LENGTH = 32 * 1024;
+const MAX_CHAT_LENGTH = 1000;
+const MAX_INVITE_LENGTH = 2048;
+const MAX_NOTE_LENGTH = 200;
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+const remoteIdField = { type: 'string', required: true, max: MAX_ID_LENGTH };
+const sdpField = { type: 'string', required: true, max: MAX_SDP_LENGTH };
+
+const MESSAGE_SCHEMAS = {
+  join: {
+    sender: 'any',
+    fields: {
+      role: { type: 'string', required: true, oneOf: ['studio', 'remote', 'sports-remote'] },
+      name: { type: 'string', max: MAX_NAME_LENGTH },
+      room: { type: 'string', max: MAX_NAME_LENGTH },
+      invite: { type: 'string', max: MAX_INVITE_LENGTH },
+      resumeId: { type: 'string', max: MAX_ID_LENGTH },
+      resumeToken: { type: 'string', max: MAX_ID_LENGTH },
+    },
+  },
+  'ready-for-offer': {
+    sender: 'studio',
+    fields: { target: remoteIdField, takeover: { type: 'boolean' } },
+  },
+  'release-remote': { sender: 'studio', fields: { target: remoteIdField } },
+  offer: { sender: 'remote', fields: { sdp: sdpField } },
+  answer: { sender: 'studio', fields: { target: remoteIdField, sdp: sdpField } },
+  candidate: {
+    sender: 'any',
+    fields: {
+      target: { type: 'string', required: true, oneOf: ['studio', 'remote'] },
+      targetId: { type: 'string', max: MAX_ID_LENGTH },
+      to: { type: 'string', max: MAX_ID_LENGTH },
+      candidate: { type: 'object', required: true },
+    },
+  },
+  'mute-remote': { sender: 'studio', fields: { target: remoteIdField, muted: { type: 'boolean' } } },
+  'kick-remote': { sender: 'studio', fields: { target: remoteIdField } },
+  'mode-update': {
+    sender: 'studio',
+    fields: { target: remoteIdField, mode: { type: 'string', required: true, oneOf: ['speech', 'music'] } },
+  },
+  'bitrate-update': {
+    sender: 'studio',
+    fields: { target: remoteIdField, bitrate: { type: 'integer', required: true, min: 6000, max: 510000 } },
+  },
+  'mute-update': { sender: 'remote', fields: { muted: { type: 'boolean', required: true } } },
+  chat: {
+    sender: 'any',
+    fields: {
+      target: { type: 'string', required: true, oneOf: ['studio', 'all'] },
+      text: { type: 'string', required: true, max: MAX_CHAT_LENGTH },
+    },
+  },
+  'fixture-join': {
+    sender: 'sports',
+    fields: {
+      teamA: { type: 'string', required: true, max: MAX_NAME_LENGTH },
+      teamB: { type: 'string', required: true, max: MAX_NAME_LENGTH },
+    },
+  },
+  goal: {
+    sender: 'sports',
+    fields: {
+      team: { type: 'string', required: true, oneOf: ['A', 'B'] },
+      scorer: { type: 'string', max: MAX_NAME_LENGTH },
+      minute: { type: 'integer', min: 0, max: 200 },
+    },
+  },
+  'score-correction': {
+    sender: 'sports',
+    fields: {
+      scoreA: { type: 'integer', required: true, min: 0, max: 999 },
+      scoreB: { type: 'integer', required: true, min: 0, max: 999 },
+      note: { type: 'string', max: MAX_NOTE_LENGTH },
+    },
+  },
+  'full-time': { sender: 'sports', fields: {} },
+  'goal-ack': {
+    sender: 'studio',
+    fields: { target: remoteIdField, goalId: { type: 'string', required: true, max: MAX_ID_LENGTH } },
+  },
+  keepalive: { sender: 'any', fields: {} },
+};
+
+const SENDER_LABELS = { studio: 'studio', remote: 'contributor', sports: 'sports reporter' };
+
+function checkField(value, rule) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      if (rule.max !== undefined && value.length > rule.max) return `must be at most ${rule.max} characters`;
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return 'must be an integer';
+      if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+      if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return 'must be true or false';
+      break;
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+      break;
+    default:
+      break;
+  }
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    return `must be one of: ${rule.oneOf.join(', ')}`;
+  }
+  return null;
+}
+
+// Returns null if `msg` is acceptable from `ws`, otherwise { code, field?, message }
+function validateMessage(ws, msg) {
+  if (!msg || typeof msg !== 'object' || Array.isArray(msg) || typeof msg.type !== 'string') {
+    return { code: 'invalid-message', message: 'Message must be an object with a string `type`' };
+  }
+  const schema = MESSAGE_SCHEMAS[msg.type];
+  if (!schema) {
+    return { code: 'unknown-type', message: `Unknown message type: ${msg.type.slice(0, MAX_ID_LENGTH)}` };
+  }
+  const remoteEntry = ws._remoteId && remotes.get(ws._remoteId);
+  if (
+    (schema.sender === 'studio' && !ws.isStudio) ||
+    (schema.sender === 'remote' && !remoteEntry) ||
+    (schema.sender === 'sports' && !(remoteEntry && remoteEntry.kind === 'sports'))
+  ) {
+    return { code: 'wrong-sender', message: `Only a joined ${SENDER_LABELS[schema.sender]} may send ${msg.type}` };
+  }
+  for (const [field, rule] of Object.entries(schema.fields)) {
+    const value = msg[field];
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        return { code: 'invalid-field', field, message: `${field} is required` };
+      }
+      continue;
+    }
+    const problem = checkField(value, rule);
+    if (problem) {
+      const code = rule.max !== undefined && problem.startsWith('must be at most') ? 'too-long' : 'invalid-field';
+      return { code, field, message: `${field} ${problem}` };
+    }
+  }
+  return null;
+}
+
+function sendError(ws, code, ref, message, extra = {}) {
+  if (ws.readyState !== ws.OPEN) return;
+  ws.send(JSON.stringify({ type: 'error', code, ref, message, ...extra }));
+}
+
+// === 8) SPORTS FIXTURES ===
+
+// The server owns the live state of every match a sports reporter covers, so the
+// score survives page reloads and several reporters on one match stay in step.
+// A fixture is identified by room + team names; reporters attach with `fixture-join`.
+// fixtures: Map<fixtureId, { id, room, teamA, teamB, scoreA, scoreB, status: 'live'|'full-time',
+//                            events: Array, reporters: Set<remoteId>, updatedAt }>
+const fixtures = new Map();
+const MAX_FIXTURE_EVENTS = 200;
+const FIXTURE_TTL_MS = 12 * 60 * 60 * 1000;
+
+function findFixture(room, teamA, teamB) {
+  const a = teamA.toLowerCase();
+  const b = teamB.toLowerCase();
+  for (const fixture of fixtures.values()) {
+    if (fixture.room === room && fixture.teamA.toLowerCase() === a && fixture.teamB.toLowerCase() === b) {
+      return fixture;
+    }
+  }
+  return null;
+}
+
+function createFixture(room, teamA, teamB) {
+  const fixture = {
+    id: crypto.randomBytes(6).toString('hex'),
+    room,
+    teamA,
+    teamB,
+    scoreA: 0,
+    scoreB: 0,
+    status: 'live',
+    events: [],
+    reporters: new Set(),
+    updatedAt: Date.now(),
+  };
+  fixtures.set(fixture.id, fixture);
+  console.log(`Fixture ${fixture.id} created in room "${room}": ${teamA} v ${teamB}`);
+  return fixture;
+}
+
+// What clients see of a fixture (no reporter bookkeeping)
+function publicFixture(fixture) {
+  const { reporters, ...rest } = fixture;
+  return rest;
+}
+
+// Record an event once the fixture's score/status already reflect it
+function addFixtureEvent(fixture, event) {
+  const entry = { id: crypto.randomUUID(), at: Date.now(), ...event };
+  fixture.events.push(entry);
+  if (fixture.events.length > MAX_FIXTURE_EVENTS) {
+    fixture.events.splice(0, fixture.events.length - MAX_FIXTURE_EVENTS);
+  }
+  fixture.updatedAt = entry.at;
+  publishLiveScore(fixture, entry);
+  return entry;
+}
+
+// Send the fixture to its room's studios and to every reporter on it
+function broadcastFixture(fixture) {
+  const payload = JSON.stringify({
+    type: 'fixture-state',
+    fixture: publicFixture(fixture),
+    reporters: Array.from(fixture.reporters),
+  });
+  sendToRoomStudios(fixture.room, payload);
+  fixture.reporters.forEach((remoteId) => {
+    const remoteEntry = remotes.get(remoteId);
+    if (remoteEntry && remoteEntry.ws.readyState === remoteEntry.ws.OPEN) {
+      remoteEntry.ws.send(payload);
+    }
+  });
+}
+
+function detachReporter(remoteEntry, remoteId) {
+  const fixture = remoteEntry.fixtureId && fixtures.get(remoteEntry.fixtureId);
+  if (fixture) {
+    fixture.reporters.delete(remoteId);
+  }
+  remoteEntry.fixtureId = null;
+}
+
+// Forget fixtures nobody has reported on for a while
+setInterval(() => {
+  const cutoff = Date.now() - FIXTURE_TTL_MS;
+  fixtures.forEach((fixture, id) => {
+    if (fixture.reporters.size === 0 && fixture.updatedAt < cutoff) {
+      fixtures.delete(id);
+    }
+  });
+}, 60 * 60 * 1000).unref();
+
+// === 9) PUBLIC LIVE-SCORE API ===
+
+// Read-only scores for the website and on-air graphics. No login, and any origin may read.
+//   GET /api/fixtures[?room=&status=live|full-time] → { fixtures: [summary] }
+//   GET /api/fixtures/:id                          → { fixture } with its full event log
+//   GET /api/fixtures/stream[?room=&fixture=]      → Server-Sent Events: `snapshot` on connect,
+//                                                    then `goal`, `correction` and `full-time`
+const liveScoreCors = cors({ origin: '*' });
+const MAX_LIVE_SCORE_CLIENTS = Number(process.env.MAX_LIVE_SCORE_CLIENTS) || 500;
+const LIVE_SCORE_HEARTBEAT_MS = 25 * 1000;
+// liveScoreClients: Set<{ res, room: string|null, fixtureId: string|null }>
+const liveScoreClients = new Set();
+
+function fixtureSummary(fixture) {
+  return {
+    id: fixture.id,
+    room: fixture.room,
+    teamA: fixture.teamA,
+    teamB: fixture.teamB,
+    scoreA: fixture.scoreA,
+    scoreB: fixture.scoreB,
+    status: fixture.status,
+    lastEvent: fixture.events[fixture.events.length - 1] || null,
+    updatedAt: fixture.updatedAt,
+  };
+}
+
+function fixtureMatches(fixture, { room, fixtureId, status }) {
+  return (
+    (!room || fixture.room === room) &&
+    (!fixtureId || fixture.id === fixtureId) &&
+    (!status || fixture.status === status)
+  );
+}
+
+function sendSSE(res, event, data, id) {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Push one fixture event to every stream that wants this fixture
+function publishLiveScore(fixture, event) {
+  const data = { fixture: fixtureSummary(fixture), event };
+  liveScoreClients.forEach((client) => {
+    if (fixtureMatches(fixture, client)) {
+      sendSSE(client.res, event.type, data, event.id);
+    }
+  });
+}
+
+app.get('/api/fixtures', liveScoreCors, (req, res) => {
+  const filter = {
+    room: req.query.room ? normaliseRoom(req.query.room) : null,
+    status: req.query.status || null,
+  };
+  const list = Array.from(fixtures.values())
+    .filter((fixture) => fixtureMatches(fixture, filter))
+    .map(fixtureSummary);
+  res.set('Cache-Control', 'no-cache');
+  res.json({ fixtures: list });
+});
+
+// Registered before /:id so "stream" isn't taken for a fixture ID
+app.get('/api/fixtures/stream', liveScoreCors, (req, res) => {
+  if (liveScoreClients.size >= MAX_LIVE_SCORE_CLIENTS) {
+    return res.status(503).json({ error: 'Too many live-score listeners' });
+  }
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // don't let a proxy buffer the stream
+  });
+  res.flushHeaders();
+
+  const client = {
+    res,
+    room: req.query.room ? normaliseRoom(req.query.room) : null,
+    fixtureId: req.query.fixture ? String(req.query.fixture) : null,
+  };
+  liveScoreClients.add(client);
+
+  res.write('retry: 5000\n\n');
+  const snapshot = Array.from(fixtures.values())
+    .filter((fixture) => fixtureMatches(fixture, client))
+    .map(fixtureSummary);
+  sendSSE(res, 'snapshot', { fixtures: snapshot });
+
+  req.on('close', () => {
+    liveScoreClients.delete(client);
+  });
+});
+
+app.get('/api/fixtures/:id', liveScoreCors, (req, res) => {
+  const fixture = fixtures.get(req.params.id);
+  if (!fixture) {
+    return res.status(404).json({ error: 'Fixture not found' });
+  }
+  res.set('Cache-Control', 'no-cache');
+  res.json({ fixture: publicFixture(fixture) });
+});
+
+// Comment lines keep idle streams open through proxies
+setInterval(() => {
+  liveScoreClients.forEach((client) => client.res.write(': keepalive\n\n'));
+}, LIVE_SCORE_HEARTBEAT_MS).unref();
+
+// === 10) REPORTER SEGMENT INBOX ===
+
+// Sports reporters upload recorded segments (audio + title + cue notes) over HTTP,
+// authenticated with their remote ID and the token from `id-assigned`. Each segment
+// lands in the studio inbox for that reporter, where producers approve or reject it.
+// Audio is stored as segments/<id>.<ext> with a <id>.json metadata sidecar.
+const segmentsDir = path.join(__dirname, 'segments');
+if (!fs.existsSync(segmentsDir)) {
+  fs.mkdirSync(segmentsDir);
+}
+const MAX_SEGMENT_BYTES = 200 * 1024 * 1024;
+const MAX_SEGMENT_TITLE_LENGTH = 120;
+const MAX_CUE_NOTES_LENGTH = 2000;
+// Waveform peaks for the inbox, made like recordings' (segments/.peaks/<id>.json) so the
+// studio never has to download and decode a whole segment to draw it
+const segmentPeaksDir = path.join(segmentsDir, '.peaks');
+if (!fs.existsSync(segmentPeaksDir)) {
+  fs.mkdirSync(segmentPeaksDir);
+}
+
+// segments: Map<segmentId, { id, room, reporterId, reporterName, title, cueNotes, file, mimeType,
+//                            size, createdAt, status: 'pending'|'approved'|'rejected',
+//                            reviewedBy, reviewedAt }>
+const segments = new Map();
+
+function loadSegments() {
+  fs.readdirSync(segmentsDir)
+    .filter((name) => name.endsWith('.json'))
+    .forEach((name) => {
+      try {
+        const segment = JSON.parse(fs.readFileSync(path.join(segmentsDir, name), 'utf8'));
+        segments.set(segment.id, segment);
+      } catch (err) {
+        console.error(`Skipping unreadable segment metadata ${name}:`, err.message);
+      }
+    });
+  console.log(`Loaded ${segments.size} reporter segment(s).`);
+}
+loadSegments();
+
+function saveSegment(segment) {
+  fs.writeFileSync(path.join(segmentsDir, `${segment.id}.json`), JSON.stringify(segment, null, 2));
+}
+
+// segmentPeaksJobs: Map<segmentId, 'queued'|'running'|'failed'>; absent once the peaks file exists
+const segmentPeaksJobs = new Map();
+
+function segmentPeaksPath(segmentId) {
+  return path.join(segmentPeaksDir, `${segmentId}.json`);
+}
+
+function queueSegmentPeaks(segment) {
+  if (segmentPeaksJobs.get(segment.id) === 'queued' || segmentPeaksJobs.get(segment.id) === 'running') return;
+  segmentPeaksJobs.set(segment.id, 'queued');
+  queueFfmpegJob((done) => {
+    segmentPeaksJobs.set(segment.id, 'running');
+    computePeaks(path.join(segmentsDir, segment.file), null, (err, peaks) => {
+      if (err) {
+        console.error(`Waveform peaks failed for segment ${segment.id}:`, err.message);
+        segmentPeaksJobs.set(segment.id, 'failed');
+      } else {
+        fs.writeFileSync(segmentPeaksPath(segment.id), JSON.stringify(peaks));
+        segmentPeaksJobs.delete(segment.id);
+      }
+      done();
+    });
+  });
+}
+
+segments.forEach((segment) => {
+  if (!fs.existsSync(segmentPeaksPath(segment.id))) queueSegmentPeaks(segment);
+});
+
+// Contributor auth for HTTP: X-Remote-Id / X-Remote-Token headers
+function requireReporter(req, res, next) {
+  const remoteEntry = findRemoteByToken(req.get('X-Remote-Id'), req.get('X-Remote-Token'));
+  if (!remoteEntry) {
+    return res.status(401).json({ error: 'Unknown or expired reporter session' });
+  }
+  if (remoteEntry.kind !== 'sports') {
+    return res.status(403).json({ error: 'Only sports reporters can submit segments' });
+  }
+  req.reporter = { id: req.get('X-Remote-Id'), name: remoteEntry.name, room: remoteEntry.room };
+  next();
+}
+
+const segmentUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, segmentsDir),
+    filename: (req, file, cb) => {
+      req.segmentId = crypto.randomUUID();
+      cb(null, `${req.segmentId}${audioExtension(file.mimetype)}`);
+    },
+  }),
+  limits: { fileSize: MAX_SEGMENT_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => cb(null, file.mimetype.startsWith('audio/')),
+});
+
+// Multer errors (too large, too many files) become JSON 400s instead of the default HTML 500
+function receiveSegment(req, res, next) {
+  segmentUpload.single('segment')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    next();
+  });
+}
+
+// Record a segment whose audio is already in segments/ and tell the room's studios
+// reporter: { id, name, room } of the reporter who sent it
+function addSegment(reporter, { id, title, cueNotes, file, mimeType, size }) {
+  const segment = {
+    id,
+    room: reporter.room,
+    reporterId: reporter.id,
+    reporterName: reporter.name,
+    title: String(title || '').trim().slice(0, MAX_SEGMENT_TITLE_LENGTH) || file,
+    cueNotes: String(cueNotes || '').trim().slice(0, MAX_CUE_NOTES_LENGTH),
+    file,
+    mimeType,
+    size,
+    createdAt: Date.now(),
+    status: 'pending',
+    reviewedBy: null,
+    reviewedAt: null,
+  };
+  segments.set(segment.id, segment);
+  saveSegment(segment);
+  queueSegmentPeaks(segment);
+  console.log(`Segment "${segment.title}" from ${segment.reporterName} in room "${segment.room}"`);
+  sendToRoomStudios(segment.room, JSON.stringify({ type: 'segment-added', segment }));
+  return segment;
+}
+
+// POST /segments (multipart: segment, title, cueNotes) → { segment }
+// Single-request upload; long segments should use the resumable /uploads protocol.
+app.post('/segments', requireReporter, receiveSegment, (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'An audio file is required in the "segment" field' });
+  }
+  const segment = addSegment(req.reporter, {
+    id: req.segmentId,
+    title: req.body.title,
+    cueNotes: req.body.cueNotes,
+    file: req.file.filename,
+    mimeType: req.file.mimetype,
+    size: req.file.size,
+  });
+  res.json({ segment });
+});
+
+// GET /segments?room= → { segments } newest first (studio operators)
+app.get('/segments', requireOperator(), (req, res) => {
+  const room = req.query.room ? normaliseRoom(req.query.room) : null;
+  const list = Array.from(segments.values())
+    .filter((segment) => !room || segment.room === room)
+    .sort((a, b) => b.createdAt - a.createdAt);
+  res.json({ segments: list });
+});
+
+// GET /segments/:id/audio → the segment's audio (studio operators)
+app.get('/segments/:id/audio', requireOperator(), (req, res) => {
+  const segment = segments.get(req.params.id);
+  if (!segment) {
+    return res.status(404).json({ error: 'Segment not found' });
+  }
+  res.type(segment.mimeType).sendFile(path.join(segmentsDir, segment.file));
+});
+
+// GET /segments/:id/peaks → waveform peaks as for recordings, or 202 { status } while they are made
+app.get('/segments/:id/peaks', requireOperator(), (req, res) => {
+  const segment = segments.get(req.params.id);
+  if (!segment) {
+    return res.status(404).json({ error: 'Segment not found' });
+  }
+  sendPeaksFile(res, segmentPeaksJobs.get(segment.id), segmentPeaksPath(segment.id), () => queueSegmentPeaks(segment));
+});
+
+// POST /segments/:id/review { status: 'approved'|'rejected'|'pending' } → { segment }
+app.post('/segments/:id/review', requireOperator('review'), express.json(), (req, res) => {
+  const segment = segments.get(req.params.id);
+  if (!segment) {
+    return res.status(404).json({ error: 'Segment not found' });
+  }
+  const { status } = req.body || {};
+  if (!['approved', 'rejected', 'pending'].includes(status)) {
+    return res.status(400).json({ error: 'status must be approved, rejected or pending' });
+  }
+  segment.status = status;
+  segment.reviewedBy = status === 'pending' ? null : req.operator.username;
+  segment.reviewedAt = status === 'pending' ? null : Date.now();
+  saveSegment(segment);
+  console.log(`Segment "${segment.title}" ${status} by ${req.operator.username}`);
+  sendToRoomStudios(segment.room, JSON.stringify({ type: 'segment-updated', segment }));
+  // Tell the reporter, if they are still connected
+  const reporter = remotes.get(segment.reporterId);
+  if (reporter && reporter.ws.readyState === reporter.ws.OPEN) {
+    reporter.ws.send(JSON.stringify({ type: 'segment-reviewed', id: segment.id, title: segment.title, status }));
+  }
+  res.json({ segment });
+});
+
+// === 11) RESUMABLE UPLOADS ===
+
+// Long recordings from flaky links are sent in numbered chunks so a dropped
+// connection only costs the chunk in flight:
+//   POST /uploads { kind, filename, size, mimeType, …details }
+//        → { id, chunkSize, offset }  (507 if a recording wouldn't fit in the storage quota)
+//   PUT  /uploads/:id/chunks/:index   raw bytes with their X-Chunk-Sha256 header → { offset }
+//   GET  /uploads/:id                 → { offset, nextChunk, ... } to resume after a drop
+//   POST /uploads/:id/complete        re-checks every stored chunk, then files the result
+//   DELETE /uploads/:id               abandons it
+// kind 'recording' needs an operator with `record` and ends up in recordings/;
+// kind 'segment' is started with the reporter's X-Remote-Id / X-Remote-Token, carries the
+// `token` from the start reply as X-Upload-Token after that (so it survives the reporter
+// reconnecting under a new ID) and lands in the segment inbox of the reporter's room.
+// Partial data and state live in uploads/ so a server restart is survivable.
+const uploadsDir = path.join(__dirname, 'uploads');
+if (!fs.existsSync(uploadsDir)) {
+  fs.mkdirSync(uploadsDir);
 }
+const UPLOAD_CHUNK_BYTES = 4 * 1024 * 1024;
+const MAX_RECORDING_BYTES = 4 * 1024 * 1024 * 1024;
+const UPLOAD_EXPIRY_MS = 24 * 60 * 60 * 1000;
+const UPLOAD_KINDS = {
+  recording: { maxBytes: MAX_RECORDING_BYTES },
+  segment: { maxBytes: MAX_SEGMENT_BYTES },
+};
 
-// Set up multer to store incoming files in ./recordings
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, recordingsDir);
-  },
-  filename: (req, file, cb) => {
-    // Use original filename; caller should ensure uniqueness
-    cb(null, file.originalname);
+// uploads: Map<uploadId, { id, kind, filename, size, mimeType, chunkHashes, title, cueNotes, details,
+//                          owner, token, received, createdAt, updatedAt, busy }>
+//   chunkHashes holds the hex SHA-256 of each chunk received, in order
+//   title / cueNotes are for segments, details (see recordingDetails) for recordings
+//   owner is the operator's username (recordings) or the reporter's { id, name, room } when
+//   it started (segments); token is the segment upload's secret (null for recordings)
+//   received is the number of bytes written so far, always a whole number of chunks
+//   busy is set while a chunk or completion is being written (not persisted)
+const uploads = new Map();
+
+function uploadPartPath(upload) {
+  return path.join(uploadsDir, `${upload.id}.part`);
+}
+
+function saveUpload(upload) {
+  const { busy, ...state } = upload;
+  fs.writeFileSync(path.join(uploadsDir, `${upload.id}.json`), JSON.stringify(state));
+}
+
+function removeUpload(upload) {
+  uploads.delete(upload.id);
+  fs.rm(uploadPartPath(upload), { force: true }, () => {});
+  fs.rm(path.join(uploadsDir, `${upload.id}.json`), { force: true }, () => {});
+}
+
+function loadUploads() {
+  fs.readdirSync(uploadsDir)
+    .filter((name) => name.endsWith('.json'))
+    .forEach((name) => {
+      try {
+        const upload = JSON.parse(fs.readFileSync(path.join(uploadsDir, name), 'utf8'));
+        uploads.set(upload.id, { chunkHashes: [], ...upload, busy: false });
+      } catch (err) {
+        console.error(`Skipping unreadable upload state ${name}:`, err.message);
+      }
+    });
+  if (uploads.size) console.log(`Resumable uploads waiting: ${uploads.size}`);
+}
+loadUploads();
+
+function uploadProgress(upload) {
+  return {
+    id: upload.id,
+    kind: upload.kind,
+    filename: upload.filename,
+    size: upload.size,
+    chunkSize: UPLOAD_CHUNK_BYTES,
+    offset: upload.received,
+    nextChunk: Math.ceil(upload.received / UPLOAD_CHUNK_BYTES),
+  };
+}
+
+// Starting an upload: recordings need an operator with `record`, segments a reporter
+function requireUploader(kind, req, res, next) {
+  if (kind === 'segment') {
+    return requireReporter(req, res, () => {
+      req.uploader = req.reporter;
+      next();
+    });
+  }
+  requireOperator('record')(req, res, () => {
+    req.uploader = req.operator.username;
+    next();
+  });
+}
+
+// Loads :id into req.upload and checks the caller owns it: the operator who started a
+// recording, or whoever holds a segment's upload token
+function loadUpload(req, res, next) {
+  const upload = uploads.get(req.params.id);
+  if (!upload) {
+    return res.status(404).json({ error: 'Unknown or expired upload' });
+  }
+  if (upload.kind === 'segment') {
+    if (!upload.token || !resumeTokenMatches(upload.token, req.get('X-Upload-Token'))) {
+      return res.status(403).json({ error: 'This upload belongs to someone else' });
+    }
+    req.upload = upload;
+    return next();
+  }
+  requireUploader(upload.kind, req, res, () => {
+    if (req.uploader !== upload.owner) {
+      return res.status(403).json({ error: 'This upload belongs to someone else' });
+    }
+    req.upload = upload;
+    next();
+  });
+}
+
+// POST /uploads → start a resumable upload
+app.post(
+  '/uploads',
+  express.json(),
+  (req, res, next) => {
+    const kind = req.body && req.body.kind;
+    if (!Object.prototype.hasOwnProperty.call(UPLOAD_KINDS, kind)) {
+      return res.status(400).json({ error: 'kind must be "recording" or "segment"' });
+    }
+    requireUploader(kind, req, res, next);
   },
+  // Only recordings count towards the recordings/ quota
+  requireStorage((req) => (req.body.kind === 'recording' ? Number(req.body.size) || 0 : null)),
+  (req, res) => {
+    const { kind, filename, size, mimeType, title, cueNotes } = req.body;
+    if (typeof filename !== 'string' || !path.basename(filename).trim()) {
+      return res.status(400).json({ error: 'filename is required' });
+    }
+    if (!Number.isInteger(size) || size <= 0 || size > UPLOAD_KINDS[kind].maxBytes) {
+      return res.status(400).json({ error: `size must be between 1 and ${UPLOAD_KINDS[kind].maxBytes} bytes` });
+    }
+    if (kind === 'segment' && !/^audio\//.test(String(mimeType))) {
+      return res.status(400).json({ error: 'Segments must be audio' });
+    }
+
+    const upload = {
+      id: crypto.randomUUID(),
+      kind,
+      filename: path.basename(filename).slice(0, 200),
+      size,
+      mimeType: String(mimeType || 'application/octet-stream').slice(0, 100),
+      chunkHashes: [],
+      title: kind === 'segment' ? String(title || '').slice(0, MAX_SEGMENT_TITLE_LENGTH) : null,
+      cueNotes: kind === 'segment' ? String(cueNotes || '').slice(0, MAX_CUE_NOTES_LENGTH) : null,
+      details: kind === 'recording' ? recordingDetails(req.body, req.uploader) : null,
+      owner: req.uploader,
+      token: kind === 'segment' ? createResumeToken() : null,
+      received: 0,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      busy: false,
+    };
+    fs.writeFileSync(uploadPartPath(upload), '');
+    uploads.set(upload.id, upload);
+    saveUpload(upload);
+    console.log(`Upload ${upload.id} started: ${upload.filename} (${upload.size} bytes, ${kind})`);
+    res.json({ ...uploadProgress(upload), token: upload.token });
+  }
+);
+
+// GET /uploads/:id → how much the server has, so the client knows where to resume
+app.get('/uploads/:id', loadUpload, (req, res) => {
+  res.json(uploadProgress(req.upload));
 });
-const upload = multer({ storage });
 
-// POST /upload → save files to ./recordings/
-app.post('/upload', upload.array('files'), (req, res) => {
-  const uploaded = req.files.map((f) => f.filename);
-  res.json({ uploaded });
+// PUT /uploads/:id/chunks/:index → write one chunk at index × chunkSize
+app.put(
+  '/uploads/:id/chunks/:index',
+  loadUpload,
+  express.raw({ type: () => true, limit: UPLOAD_CHUNK_BYTES }),
+  (req, res) => {
+    const { upload } = req;
+    const index = Number(req.params.index);
+    const expected = Math.ceil(upload.received / UPLOAD_CHUNK_BYTES);
+    if (!Number.isInteger(index) || index < 0) {
+      return res.status(400).json({ error: 'Chunk index must be a non-negative integer' });
+    }
+    if (index < expected) {
+      // Already stored (the client missed our reply); nothing to do
+      return res.json(uploadProgress(upload));
+    }
+    if (index > expected) {
+      return res.status(409).json({ error: `Expected chunk ${expected}`, ...uploadProgress(upload) });
+    }
+    if (upload.busy) {
+      return res.status(409).json({ error: 'Another chunk is being written', ...uploadProgress(upload) });
+    }
+
+    const chunk = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const offset = index * UPLOAD_CHUNK_BYTES;
+    const isLast = offset + chunk.length === upload.size;
+    if (chunk.length === 0 || offset + chunk.length > upload.size || (!isLast && chunk.length !== UPLOAD_CHUNK_BYTES)) {
+      return res.status(400).json({ error: `Chunk ${index} has the wrong length (${chunk.length} bytes)` });
+    }
+    const chunkSha256 = String(req.get('X-Chunk-Sha256') || '').toLowerCase();
+    if (!/^[0-9a-f]{64}$/.test(chunkSha256)) {
+      return res.status(400).json({ error: 'X-Chunk-Sha256 must be the hex SHA-256 of the chunk' });
+    }
+    if (crypto.createHash('sha256').update(chunk).digest('hex') !== chunkSha256) {
+      return res.status(422).json({ error: `Chunk ${index} checksum mismatch`, ...uploadProgress(upload) });
+    }
+
+    upload.busy = true;
+    fs.open(uploadPartPath(upload), 'r+', (openErr, fd) => {
+      if (openErr) {
+        upload.busy = false;
+        console.error(`Upload ${upload.id}: cannot open partial file:`, openErr);
+        return res.status(500).json({ error: 'Unable to store chunk' });
+      }
+      fs.write(fd, chunk, 0, chunk.length, offset, (writeErr) => {
+        fs.close(fd, () => {});
+        upload.busy = false;
+        if (writeErr) {
+          console.error(`Upload ${upload.id}: chunk ${index} write failed:`, writeErr);
+          return res.status(500).json({ error: 'Unable to store chunk' });
+        }
+        upload.received = offset + chunk.length;
+        upload.chunkHashes[index] = chunkSha256;
+        upload.updatedAt = Date.now();
+        saveUpload(upload);
+        res.json(uploadProgress(upload));
+      });
+    });
+  }
+);
+
+// POST /uploads/:id/complete → verify and file the finished upload
+app.post('/uploads/:id/complete', loadUpload, (req, res) => {
+  const { upload } = req;
+  if (upload.received !== upload.size) {
+    return res.status(409).json({ error: 'Upload is incomplete', ...uploadProgress(upload) });
+  }
+  if (upload.busy) {
+    return res.status(409).json({ error: 'Upload is busy', ...uploadProgress(upload) });
+  }
+  upload.busy = true;
+
+  verifyUploadChunks(upload, (verifyErr, damaged) => {
+    if (verifyErr) {
+      upload.busy = false;
+      console.error(`Upload ${upload.id}: cannot read partial file:`, verifyErr);
+      return res.status(500).json({ error: 'Unable to verify upload' });
+    }
+    if (damaged !== -1) {
+      // Keep the chunks before it and have the client send the rest again
+      console.warn(`Upload ${upload.id}: chunk ${damaged} no longer matches its checksum, resuming from it`);
+      upload.busy = false;
+      upload.received = damaged * UPLOAD_CHUNK_BYTES;
+      upload.chunkHashes.length = damaged;
+      upload.updatedAt = Date.now();
+      fs.truncateSync(uploadPartPath(upload), upload.received);
+      saveUpload(upload);
+      return res.status(422).json({ error: `Chunk ${damaged} checksum mismatch; upload it again`, ...uploadProgress(upload) });
+    }
+    finishUpload(upload, (err, result) => {
+      if (err) {
+        upload.busy = false;
+        console.error(`Upload ${upload.id}: cannot file upload:`, err);
+        return res.status(err.status || 500).json({ error: err.status ? err.message : 'Unable to store upload' });
+      }
+      removeUpload(upload);
+      console.log(`Upload ${upload.id} complete: ${upload.filename}`);
+      res.json(result);
+    });
+  });
 });
 
-// GET /recordings → list all filenames in ./recordings/
-app.get('/recordings', (req, res) => {
-  fs.readdir(recordingsDir, (err, files) => {
-    if (err) {
-      console.error('Error reading recordings dir:', err);
-      return res.status(500).json({ error: 'Unable to read recordings directory' });
+// Re-read the stored file a chunk at a time against the digests checked as each chunk
+// arrived, so nothing ever holds the whole file; callback(err, index of the first
+// damaged chunk, or -1)
+function verifyUploadChunks(upload, callback) {
+  fs.open(uploadPartPath(upload), 'r', (openErr, fd) => {
+    if (openErr) return callback(openErr);
+    const buffer = Buffer.alloc(Math.min(UPLOAD_CHUNK_BYTES, upload.size));
+    const finish = (err, damaged) => fs.close(fd, () => callback(err, damaged));
+    const check = (index) => {
+      const offset = index * UPLOAD_CHUNK_BYTES;
+      if (offset >= upload.size) return finish(null, -1);
+      const length = Math.min(UPLOAD_CHUNK_BYTES, upload.size - offset);
+      fs.read(fd, buffer, 0, length, offset, (readErr, bytesRead) => {
+        if (readErr) return finish(readErr);
+        const digest = crypto.createHash('sha256').update(buffer.subarray(0, bytesRead)).digest('hex');
+        if (bytesRead !== length || digest !== upload.chunkHashes[index]) return finish(null, index);
+        check(index + 1);
+      });
+    };
+    check(0);
+  });
+}
+
+// Move a verified upload to its destination; callback(err, responseBody)
+function finishUpload(upload, callback) {
+  if (upload.kind === 'segment') {
+    // Filed under the reporter as they were at the start, even if they have since reconnected
+    const segmentId = crypto.randomUUID();
+    const file = `${segmentId}${audioExtension(upload.mimeType)}`;
+    return fs.rename(uploadPartPath(upload), path.join(segmentsDir, file), (err) => {
+      if (err) return callback(err);
+      const segment = addSegment(upload.owner, {
+        id: segmentId,
+        title: upload.title,
+        cueNotes: upload.cueNotes,
+        file,
+        mimeType: upload.mimeType,
+        size: upload.size,
+      });
+      callback(null, { segment });
+    });
+  }
+  const { id, file } = newRecordingFile(upload.mimeType);
+  fs.rename(uploadPartPath(upload), path.join(recordingsDir, file), (err) => {
+    if (err) return callback(err);
+    const recording = addRecording(
+      { id, file, originalName: upload.filename, mimeType: upload.mimeType, size: upload.size, uploadedBy: upload.owner },
+      upload.details
+    );
+    callback(null, { uploaded: [file], recording });
+  });
+}
+
+// DELETE /uploads/:id → abandon an upload
+app.delete('/uploads/:id', loadUpload, (req, res) => {
+  removeUpload(req.upload);
+  res.json({ ok: true });
+});
+
+// Forget uploads nobody has touched for a day
+setInterval(() => {
+  const cutoff = Date.now() - UPLOAD_EXPIRY_MS;
+  uploads.forEach((upload) => {
+    if (!upload.busy && upload.updatedAt < cutoff) {
+      console.log(`Upload ${upload.id} expired: ${upload.filename}`);
+      removeUpload(upload);
+    }
+  });
+}, 60 * 60 * 1000).unref();
+
+// === 12) STORAGE QUOTA & RETENTION ===
+
+// RECORDINGS_QUOTA_GB caps what recordings/ may hold: recordings, the trash, the peaks and
+// export caches, plus recording uploads still in progress. Uploads, clips and exports are
+// refused with 507 while that is used up. RETENTION_DAYS (unset: keep forever) removes
+// recordings that many days after upload unless tagged RETENTION_KEEP_TAG (default "keep");
+// RETENTION_ACTION=archive (the default) moves file + sidecar to ARCHIVE_DIR (default
+// ./archive, never served, e.g. a cheaper volume), RETENTION_ACTION=delete removes them.
+const QUOTA_BYTES = Number(process.env.RECORDINGS_QUOTA_GB) > 0 ? Math.round(Number(process.env.RECORDINGS_QUOTA_GB) * 1024 ** 3) : null;
+const RETENTION_DAYS = Number(process.env.RETENTION_DAYS) > 0 ? Number(process.env.RETENTION_DAYS) : null;
+const RETENTION_ACTION = process.env.RETENTION_ACTION === 'delete' ? 'delete' : 'archive';
+const RETENTION_KEEP_TAG = (process.env.RETENTION_KEEP_TAG || 'keep').trim().toLowerCase();
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000;
+const archiveDir = process.env.ARCHIVE_DIR || path.join(__dirname, 'archive');
+
+// Total size of the files directly inside dir
+function dirBytes(dir) {
+  try {
+    return fs.readdirSync(dir).reduce((total, name) => {
+      const stat = fs.statSync(path.join(dir, name));
+      return stat.isFile() ? total + stat.size : total;
+    }, 0);
+  } catch (err) {
+    return 0;
+  }
+}
+
+function storageUsage() {
+  const usage = {
+    recordings: { count: 0, bytes: 0 },
+    trash: { count: 0, bytes: 0 },
+    cacheBytes: dirBytes(peaksDir) + dirBytes(exportsDir),
+    uploadingBytes: 0,
+  };
+  recordings.forEach((recording) => {
+    const bucket = recording.deletedAt ? usage.trash : usage.recordings;
+    bucket.count += 1;
+    bucket.bytes += recording.size || 0;
+  });
+  uploads.forEach((upload) => {
+    if (upload.kind === 'recording') usage.uploadingBytes += upload.size;
+  });
+  usage.used = usage.recordings.bytes + usage.trash.bytes + usage.cacheBytes + usage.uploadingBytes;
+  usage.quota = QUOTA_BYTES;
+  return usage;
+}
+
+// Express middleware: 507 if storing bytesOf(req) more would go over the quota
+// (bytesOf returning null means the request doesn't store into recordings/)
+function requireStorage(bytesOf = () => 0) {
+  return (req, res, next) => {
+    const bytes = bytesOf(req);
+    if (!QUOTA_BYTES || bytes === null) return next();
+    const { used } = storageUsage();
+    if (used + bytes > QUOTA_BYTES) {
+      const size = (n) => (n >= 1024 ** 3 ? `${(n / 1024 ** 3).toFixed(1)} GB` : `${Math.ceil(n / 1024 ** 2)} MB`);
+      console.warn(`Refused ${req.method} ${req.path}: storage quota reached (${size(used)} of ${size(QUOTA_BYTES)})`);
+      return res.status(507).json({
+        error: `Recording storage is full (${size(used)} of ${size(QUOTA_BYTES)} used). Empty the trash or remove old recordings first.`,
+      });
+    }
+    next();
+  };
+}
+
+// Peaks and exports can always be made again
+function removeDerivedFiles(recording) {
+  fs.rm(peaksPath(recording.id), { force: true }, () => {});
+  fs.readdir(exportsDir, (err, names) => {
+    (names || [])
+      .filter((name) => name.startsWith(`${recording.id}-`))
+      .forEach((name) => fs.rm(path.join(exportsDir, name), { force: true }, () => {}));
+  });
+}
+
+// Remove a recording for good: file, sidecar and derived files
+function purgeRecording(recording, callback) {
+  const dir = recordingDir(recording);
+  fs.rm(path.join(dir, recording.file), { force: true }, (err) => {
+    if (err) return callback(err);
+    fs.rm(path.join(dir, `${recording.id}.json`), { force: true }, () => {
+      recordings.delete(recording.id);
+      removeDerivedFiles(recording);
+      callback(null);
+    });
+  });
+}
+
+// Move a recording's file and sidecar into archiveDir (copying when that is another filesystem)
+function archiveRecording(recording, callback) {
+  const dir = recordingDir(recording);
+  const moveFile = (from, to, cb) =>
+    fs.rename(from, to, (err) => {
+      if (!err || err.code !== 'EXDEV') return cb(err);
+      fs.copyFile(from, to, (copyErr) => (copyErr ? cb(copyErr) : fs.unlink(from, cb)));
+    });
+  fs.mkdir(archiveDir, { recursive: true }, (mkdirErr) => {
+    if (mkdirErr) return callback(mkdirErr);
+    moveFile(path.join(dir, recording.file), path.join(archiveDir, recording.file), (err) => {
+      if (err && err.code !== 'ENOENT') return callback(err);
+      const sidecar = JSON.stringify({ ...recording, archivedAt: Date.now() }, null, 2);
+      fs.writeFile(path.join(archiveDir, `${recording.id}.json`), sidecar, (writeErr) => {
+        if (writeErr) return callback(writeErr);
+        fs.rm(path.join(dir, `${recording.id}.json`), { force: true }, () => {
+          recordings.delete(recording.id);
+          removeDerivedFiles(recording);
+          callback(null);
+        });
+      });
+    });
+  });
+}
+
+// Archive / delete recordings past RETENTION_DAYS, one at a time
+let retentionRunning = false;
+function applyRetention() {
+  if (!RETENTION_DAYS || retentionRunning) return;
+  const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const expired = Array.from(recordings.values()).filter(
+    (recording) => recording.uploadedAt < cutoff && !recording.tags.some((tag) => tag.toLowerCase() === RETENTION_KEEP_TAG)
+  );
+  retentionRunning = true;
+  const next = () => {
+    const recording = expired.shift();
+    if (!recording) {
+      retentionRunning = false;
+      return;
     }
-    res.json({ recordings: files });
+    const remove = RETENTION_ACTION === 'delete' ? purgeRecording : archiveRecording;
+    remove(recording, (err) => {
+      if (err) {
+        console.error(`Retention could not ${RETENTION_ACTION} recording ${recording.id}:`, err.message);
+      } else {
+        console.log(`Recording ${recording.id} ${RETENTION_ACTION}d after ${RETENTION_DAYS} days: ${recording.originalName}`);
+      }
+      next();
+    });
+  };
+  next();
+}
+applyRetention();
+setInterval(applyRetention, RETENTION_INTERVAL_MS).unref();
+
+// GET /recordings/usage → { used, quota, recordings: { count, bytes }, trash: { count, bytes },
+//   cacheBytes, uploadingBytes, retention: { days, action, keepTag } | null }  (bytes; quota may be null)
+app.get('/recordings/usage', requireOperator('library'), (req, res) => {
+  res.json({
+    ...storageUsage(),
+    retention: RETENTION_DAYS ? { days: RETENTION_DAYS, action: RETENTION_ACTION, keepTag: RETENTION_KEEP_TAG } : null,
   });
 });
 
-// Serve individual recordings statically at /recordings/<filename>
-app.use(
-  '/recordings',
-  express.static(recordingsDir, {
-    // optional: set cache headers if desired
-    maxAge: '1h',
-  })
-);
+// === 13) RECORDING SHARE LINKS ===
+
+// A share link hands one recording to someone without a studio login (a contributor, an
+// outside editor): /share.html?token=… plays it with its waveform and offers a download,
+// and nothing else in the library is reachable through it. Tokens are signed like invites
+// (`<payload>.<signature>`, payload { id, exp }) but must also still be listed in
+// recordings/.shares/shares.json, so a producer can revoke a link before it expires.
+// Set SHARE_SECRET so links survive a restart; otherwise a random secret is used.
+const SHARE_SECRET = process.env.SHARE_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SHARE_SECRET) {
+  console.warn('SHARE_SECRET not set; share links will stop working when the server restarts.');
+}
+// (its own folder: loadRecordings would take a .json file in recordings/ for a sidecar)
+const sharesDir = path.join(recordingsDir, '.shares');
+if (!fs.existsSync(sharesDir)) {
+  fs.mkdirSync(sharesDir);
+}
+const sharesFile = path.join(sharesDir, 'shares.json');
+const DEFAULT_SHARE_MINUTES = 7 * 24 * 60;
+const MAX_SHARE_MINUTES = 30 * 24 * 60;
+const MAX_SHARE_LABEL_LENGTH = 120;
+
+// shares: Map<shareId, { id, recordingId, label, createdBy, createdAt, expiresAt }> (ms timestamps)
+const shares = new Map();
+
+function saveShares() {
+  fs.writeFileSync(sharesFile, JSON.stringify(Array.from(shares.values()), null, 2));
+}
+
+// Forget links that have expired or whose recording has gone; true if any were dropped
+function pruneShares() {
+  const now = Date.now();
+  let pruned = false;
+  shares.forEach((share, id) => {
+    if (share.expiresAt < now || !recordings.has(share.recordingId)) {
+      shares.delete(id);
+      pruned = true;
+    }
+  });
+  return pruned;
+}
+
+try {
+  JSON.parse(fs.readFileSync(sharesFile, 'utf8')).forEach((share) => shares.set(share.id, share));
+  if (pruneShares()) saveShares();
+} catch (err) {
+  if (err.code !== 'ENOENT') console.error('Could not read share links:', err.message);
+}
+
+function signShare(share) {
+  const body = Buffer.from(JSON.stringify({ id: share.id, exp: share.expiresAt })).toString('base64url');
+  const sig = crypto.createHmac('sha256', SHARE_SECRET).update(body).digest('base64url');
+  return `${body}.${sig}`;
+}
+
+// Returns the share, or null if the token is malformed, forged, expired or revoked
+function verifyShare(token) {
+  const [body, sig] = String(token).split('.');
+  if (!body || !sig) return null;
+
+  const expected = crypto.createHmac('sha256', SHARE_SECRET).update(body).digest();
+  const given = Buffer.from(sig, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+  } catch (err) {
+    return null;
+  }
+  const share = payload && shares.get(payload.id);
+  if (!share || share.expiresAt !== payload.exp || share.expiresAt < Date.now()) {
+    return null;
+  }
+  return share;
+}
+
+// A share as operators see it, with its link
+function describeShare(share) {
+  const recording = recordings.get(share.recordingId);
+  const token = signShare(share);
+  return {
+    ...share,
+    recordingName: recording ? recording.title || recording.contributor || recording.originalName : null,
+    token,
+    path: `/share.html?token=${encodeURIComponent(token)}`,
+  };
+}
+
+// For /shared/:token/*: the share and its recording, or 404 (trashed recordings are not shared)
+function findShare(req, res, next) {
+  const share = verifyShare(req.params.token);
+  const recording = share && recordings.get(share.recordingId);
+  if (!recording || recording.deletedAt) {
+    return res.status(404).json({ error: 'This link is invalid, has expired or has been revoked' });
+  }
+  res.set('Cache-Control', 'private, no-store');
+  req.share = share;
+  req.recording = recording;
+  next();
+}
+
+// POST /recordings/:id/shares { label, expiresInMinutes } → 201 { share } (with its token and path)
+app.post('/recordings/:id/shares', requireOperator('share'), express.json(), findRecording, (req, res) => {
+  const { recording } = req;
+  const { label, expiresInMinutes = DEFAULT_SHARE_MINUTES } = req.body || {};
+  if (recording.deletedAt) {
+    return res.status(409).json({ error: 'Restore this recording from the trash before sharing it' });
+  }
+  const minutes = Number(expiresInMinutes);
+  if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_SHARE_MINUTES) {
+    return res.status(400).json({ error: `expiresInMinutes must be between 1 and ${MAX_SHARE_MINUTES}` });
+  }
+
+  const now = Date.now();
+  const share = {
+    id: crypto.randomUUID(),
+    recordingId: recording.id,
+    label: String(label || '').trim().slice(0, MAX_SHARE_LABEL_LENGTH),
+    createdBy: req.operator.username,
+    createdAt: now,
+    expiresAt: now + Math.round(minutes * 60 * 1000),
+  };
+  shares.set(share.id, share);
+  saveShares();
+  console.log(`Share link ${share.id} for recording ${recording.id} created by ${req.operator.username}`);
+  res.status(201).json({ share: describeShare(share) });
+});
+
+// GET /shares?recording=<id> → { shares } still active (all recordings without ?recording=), soonest to expire first
+app.get('/shares', requireOperator('share'), (req, res) => {
+  if (pruneShares()) saveShares();
+  const list = Array.from(shares.values())
+    .filter((share) => !req.query.recording || share.recordingId === req.query.recording)
+    .sort((a, b) => a.expiresAt - b.expiresAt)
+    .map(describeShare);
+  res.json({ shares: list });
+});
+
+// DELETE /shares/:id → { ok } revokes the link straight away
+app.delete('/shares/:id', requireOperator('share'), (req, res) => {
+  const share = shares.get(req.params.id);
+  if (!share) {
+    return res.status(404).json({ error: 'No such share link' });
+  }
+  shares.delete(share.id);
+  saveShares();
+  console.log(`Share link ${share.id} for recording ${share.recordingId} revoked by ${req.operator.username}`);
+  res.json({ ok: true });
+});
+
+// GET /shared/:token → { recording, expiresAt }: only what the player page shows
+app.get('/shared/:token', findShare, (req, res) => {
+  const { recording, share } = req;
+  res.json({
+    recording: {
+      name: recording.title || recording.contributor || recording.originalName,
+      contributor: recording.contributor,
+      startedAt: recording.startedAt,
+      duration: recording.duration,
+      size: recording.size,
+      markers: recording.markers.map(({ time, label, kind }) => ({ time, label, kind })),
+    },
+    expiresAt: share.expiresAt,
+  });
+});
+
+// GET /shared/:token/peaks → as GET /recordings/:id/peaks
+app.get('/shared/:token/peaks', findShare, (req, res) => sendPeaks(req.recording, res));
+
+// GET /shared/:token/audio → the recording, for the player (supports Range requests)
+app.get('/shared/:token/audio', findShare, (req, res) => {
+  res.sendFile(path.join(recordingsDir, req.recording.file));
+});
 
-// === 3) HTTP & WebSocket SERVER SETUP ===
+// GET /shared/:token/download → the recording as "<title>.<ext>"
+app.get('/shared/:token/download', findShare, (req, res) => {
+  const { recording } = req;
+  console.log(`Recording ${recording.id} downloaded through share link ${req.share.id}`);
+  res.download(path.join(recordingsDir, recording.file), `${downloadBaseName(recording)}${path.extname(recording.file)}`);
+});
+
+// === 14) HTTP & WebSocket SERVER SETUP ===
 
 const server = http.createServer(app);
 
-const wss = new WebSocketServer({ noServer: true });
+const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
 
 // Maintain connected studios & remotes
-// studios: Set<WebSocket>
-// remotes: Map<remoteId, { ws: WebSocket, name: string }>
-const studios = new Set();
+// remotes: Map<remoteId, { ws: WebSocket, name: string, room: string, kind: 'remote'|'sports',
+//                          owner: WebSocket|null, resumeToken: string, resumeTimer: Timeout|null,
+//                          fixtureId: string|null }>
+//   owner is the studio that last sent `ready-for-offer` for this remote
+//   resumeTimer is set while the remote's socket is down and it may still resume
+// rooms:   Map<roomName, { studios: Set<WebSocket>, remotes: Set<remoteId> }>
 const remotes = new Map();
+const rooms = new Map();
+
+const DEFAULT_ROOM = 'main';
+
+// Room names come from the client; keep them short and printable.
+function normaliseRoom(name) {
+  const cleaned = String(name || '')
+    .trim()
+    .replace(/[^A-Za-z0-9 _-]/g, '')
+    .slice(0, 64);
+  return cleaned || DEFAULT_ROOM;
+}
+
+function getRoom(name) {
+  let room = rooms.get(name);
+  if (!room) {
+    room = { studios: new Set(), remotes: new Set() };
+    rooms.set(name, room);
+  }
+  return room;
+}
+
+// A remote whose WebSocket drops keeps its ID, card and call for RESUME_GRACE_MS.
+// It proves who it is on reconnect with the resume token sent in `id-assigned`.
+// A studio whose WebSocket drops likewise keeps the calls it owns, with the token from
+// `room-joined` (see departedStudios).
+const RESUME_GRACE_MS = (Number(process.env.RESUME_GRACE_SECONDS) || 30) * 1000;
+
+function createResumeToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function resumeTokenMatches(expected, token) {
+  if (typeof token !== 'string') return false;
+  const given = Buffer.from(token);
+  return given.length === Buffer.byteLength(expected) && crypto.timingSafeEqual(given, Buffer.from(expected));
+}
+
+// Returns the remote entry if `remoteId`/`token` match the token last sent in `id-assigned`.
+// Used to resume after a reconnect and to authenticate a contributor's HTTP uploads.
+function findRemoteByToken(remoteId, token) {
+  const remoteEntry = remotes.get(remoteId);
+  if (!remoteEntry || !resumeTokenMatches(remoteEntry.resumeToken, token)) return null;
+  return remoteEntry;
+}
+
+// departedStudios: Map<studio ID, { ws (the closed socket), timer }> – studios that lost their
+// connection, whose calls are held until they rejoin with resumeId/resumeToken or the timer fires
+const departedStudios = new Map();
+
+// The grace window ran out: release the calls and tell the remotes
+function releaseDepartedStudio(studioId) {
+  const departed = departedStudios.get(studioId);
+  if (!departed) return;
+  clearTimeout(departed.timer);
+  departedStudios.delete(studioId);
+  releaseStudioCalls(departed.ws);
+  console.log(`Studio ${studioId} did not come back; its calls were released.`);
+}
+
+// The departed studio `studioId` if `token` is its resume token and it was the same operator
+function takeDepartedStudio(studioId, token, operator) {
+  const departed = studioId && departedStudios.get(studioId);
+  if (!departed || departed.ws._operator.username !== operator.username) return null;
+  if (!resumeTokenMatches(departed.ws._resumeToken, token)) return null;
+  clearTimeout(departed.timer);
+  departedStudios.delete(studioId);
+  return departed;
+}
+
+// Forget a remote for good and tell its room's studios
+function dropRemote(remoteId) {
+  const remoteEntry = remotes.get(remoteId);
+  if (!remoteEntry) return;
+  clearTimeout(remoteEntry.resumeTimer);
+  detachReporter(remoteEntry, remoteId);
+  remotes.delete(remoteId);
+  leaveRoom(remoteEntry.ws);
+  console.log(`Remote ${remoteId} disconnected from room "${remoteEntry.room}".`);
+  sendToRoomStudios(remoteEntry.room, JSON.stringify({ type: 'remote-disconnected', id: remoteId }));
+}
+
+// Drop a studio or remote from its room, deleting the room once empty. A studio's calls
+// are released unless keepCalls is set (it lost its connection and may resume).
+function leaveRoom(ws, keepCalls = false) {
+  const room = rooms.get(ws._room);
+  if (!room) return;
+  if (ws.isStudio) {
+    room.studios.delete(ws);
+    if (!keepCalls) releaseStudioCalls(ws);
+  } else if (ws._remoteId) {
+    room.remotes.delete(ws._remoteId);
+  }
+  if (room.studios.size === 0 && room.remotes.size === 0) {
+    rooms.delete(ws._room);
+  }
+}
+
+// Release every call a studio socket owns
+function releaseStudioCalls(ws) {
+  remotes.forEach((remoteEntry, remoteId) => {
+    if (remoteEntry.owner !== ws) return;
+    setRemoteOwner(remoteId, remoteEntry, null);
+    if (remoteEntry.ws.readyState === remoteEntry.ws.OPEN) {
+      remoteEntry.ws.send(JSON.stringify({ type: 'studio-disconnected' }));
+    }
+  });
+}
+
+function sendToRoomStudios(roomName, payload) {
+  const room = rooms.get(roomName);
+  if (!room) return;
+  room.studios.forEach((studioWs) => {
+    if (studioWs.readyState === studioWs.OPEN) {
+      studioWs.send(payload);
+    }
+  });
+}
+
+function sendToRoomRemotes(roomName, payload) {
+  const room = rooms.get(roomName);
+  if (!room) return;
+  room.remotes.forEach((remoteId) => {
+    const remoteEntry = remotes.get(remoteId);
+    if (remoteEntry && remoteEntry.ws.readyState === remoteEntry.ws.OPEN) {
+      remoteEntry.ws.send(payload);
+    }
+  });
+}
+
+// Record the studio that owns a remote's call and tell the room's studios
+function setRemoteOwner(remoteId, remoteEntry, ownerWs) {
+  remoteEntry.owner = ownerWs;
+  const payload = JSON.stringify({
+    type: 'remote-owner',
+    id: remoteId,
+    ownerId: ownerWs ? ownerWs._studioId : null,
+    ownerName: ownerWs ? ownerWs._studioName : null,
+  });
+  sendToRoomStudios(remoteEntry.room, payload);
+}
+
+// The owning studio's socket, if it is still connected
+function getOpenOwner(remoteEntry) {
+  const owner = remoteEntry && remoteEntry.owner;
+  if (!owner || owner.readyState !== owner.OPEN) return null;
+  return owner;
+}
+
+// Look up a remote targeted by a studio; only remotes in the studio's own room are visible
+function getRoomRemote(ws, remoteId) {
+  const remoteEntry = remotes.get(remoteId);
+  if (!remoteEntry || remoteEntry.room !== ws._room) return null;
+  if (remoteEntry.ws.readyState !== remoteEntry.ws.OPEN) return null;
+  return remoteEntry;
+}
 
 server.on('upgrade', (request, socket, head) => {
   // Only accept WebSocket connections from our origin
@@ -98,6 +3127,8 @@ server.on('upgrade', (request, socket, head) => {
     socket.destroy();
     return;
   }
+  // Studio operators are identified by their session cookie; contributors have none
+  request.session = getSession(request);
   wss.handleUpgrade(request, socket, head, (ws) => {
     wss.emit('connection', ws, request);
   });
@@ -107,6 +3138,10 @@ wss.on('connection', (ws, request) => {
   // Attach custom properties to ws
   ws.isStudio = false;
   ws._remoteId = null;
+  ws._room = null;
+  ws._studioId = null;
+  ws._studioName = null;
+  ws._operator = request.session;
 
   console.log('WebSocket connection from origin:', request.headers.origin);
 
@@ -115,72 +3150,232 @@ wss.on('connection', (ws, request) => {
     try {
       msg = JSON.parse(data.toString());
     } catch (err) {
-      console.error('Invalid JSON:', err);
+      console.error('Invalid JSON:', err.message);
+      sendError(ws, 'invalid-json', null, 'Message is not valid JSON');
+      return;
+    }
+
+    const invalid = validateMessage(ws, msg);
+    if (invalid) {
+      const ref = msg && typeof msg.type === 'string' ? msg.type.slice(0, MAX_ID_LENGTH) : null;
+      console.warn(`Rejected ${ref || 'message'}: ${invalid.message}`);
+      const { code, message, ...extra } = invalid;
+      sendError(ws, code, ref, message, extra);
       return;
     }
 
     const { type } = msg;
 
+    // Studio controls are limited by the operator's role
+    const permission = ws.isStudio && MESSAGE_PERMISSIONS[type];
+    if (permission && !hasPermission(ws._operator, permission)) {
+      console.warn(`Refused ${type} from ${ws._operator.username} (${ws._operator.role})`);
+      sendError(ws, 'forbidden', type, `Your role (${ws._operator.role}) cannot do this`);
+      return;
+    }
+
     switch (type) {
       case 'join':
         if (msg.role === 'studio') {
+          // Only logged-in operators can join as a studio
+          if (!ws._operator || ws._operator.expires < Date.now()) {
+            rejectJoin(ws, 'Studio login required');
+            break;
+          }
+          // A studio may re-send `join` to switch rooms
+          if (ws.isStudio) {
+            leaveRoom(ws);
+          }
+          // A studio reconnecting within the grace window takes back its ID and calls
+          const departed = !ws.isStudio && takeDepartedStudio(msg.resumeId, msg.resumeToken, ws._operator);
           ws.isStudio = true;
-          studios.add(ws);
-          console.log('Studio joined. Total studios:', studios.size);
-          // Send existing remotes to new studio
-          remotes.forEach(({ name }, id) => {
-            const newRemoteMsg = JSON.stringify({ type: 'new-remote', id, name });
+          ws._studioId = ws._studioId || (departed ? msg.resumeId : crypto.randomUUID());
+          ws._studioName = `${msg.name || 'Studio'} (${ws._operator.username})`;
+          ws._resumeToken = createResumeToken();
+          ws._room = normaliseRoom(msg.room);
+          const room = getRoom(ws._room);
+          room.studios.add(ws);
+          if (departed) {
+            remotes.forEach((remoteEntry) => {
+              if (remoteEntry.owner === departed.ws && remoteEntry.room === ws._room) remoteEntry.owner = ws;
+            });
+            releaseStudioCalls(departed.ws); // any left were in another room
+            console.log(`Studio ${ws._studioId} resumed in room "${ws._room}".`);
+          }
+          console.log(`Studio joined room "${ws._room}". Studios in room:`, room.studios.size);
+          ws.send(
+            JSON.stringify({
+              type: 'room-joined',
+              room: ws._room,
+              id: ws._studioId,
+              resumeToken: ws._resumeToken,
+              resumed: !!departed,
+              remoteIds: Array.from(room.remotes),
+              ...sessionInfo(ws._operator),
+            })
+          );
+          // Send existing remotes in this room (and who is on a call with them) to the new studio
+          room.remotes.forEach((id) => {
+            const remoteEntry = remotes.get(id);
+            const owner = getOpenOwner(remoteEntry);
+            const newRemoteMsg = JSON.stringify({
+              type: 'new-remote',
+              id,
+              name: remoteEntry.name,
+              kind: remoteEntry.kind,
+              ownerId: owner ? owner._studioId : null,
+              ownerName: owner ? owner._studioName : null,
+              reconnecting: !!remoteEntry.resumeTimer,
+            });
             ws.send(newRemoteMsg);
           });
-        } else if (msg.role === 'remote') {
-          // msg.name is displayName
-          const displayName = msg.name || 'Unknown';
+          // ...and the live state of the room's fixtures
+          fixtures.forEach((fixture) => {
+            if (fixture.room !== ws._room) return;
+            ws.send(
+              JSON.stringify({
+                type: 'fixture-state',
+                fixture: publicFixture(fixture),
+                reporters: Array.from(fixture.reporters),
+              })
+            );
+          });
+        } else if (msg.role === 'remote' || msg.role === 'sports-remote') {
+          // Contributors: plain remotes and sports reporters share one registry
+          if (ws._remoteId) break; // already joined on this socket
+          const kind = msg.role === 'sports-remote' ? 'sports' : 'remote';
+
+          // A remote reconnecting within the grace window takes back its ID and card
+          const resumed = msg.resumeId && findRemoteByToken(msg.resumeId, msg.resumeToken);
+          if (resumed && resumed.kind === kind) {
+            const previousWs = resumed.ws;
+            clearTimeout(resumed.resumeTimer);
+            resumed.resumeTimer = null;
+            resumed.ws = ws;
+            resumed.resumeToken = createResumeToken();
+            ws._remoteId = msg.resumeId;
+            ws._room = resumed.room;
+            if (previousWs.readyState === previousWs.OPEN) {
+              // Half-open socket the server hadn't noticed yet
+              previousWs.close();
+            }
+            console.log(`Remote resumed in room "${ws._room}": ${resumed.name} (${ws._remoteId})`);
+            sendToRoomStudios(
+              ws._room,
+              JSON.stringify({ type: 'remote-reconnected', id: ws._remoteId, name: resumed.name })
+            );
+            ws.send(
+              JSON.stringify({
+                type: 'id-assigned',
+                id: ws._remoteId,
+                room: ws._room,
+                resumeToken: resumed.resumeToken,
+                resumed: true,
+              })
+            );
+            break;
+          }
+
+          // Invited contributors get the name and room fixed in their link
+          const joinInfo = resolveContributorJoin(msg);
+          if (joinInfo.error) {
+            rejectJoin(ws, joinInfo.error);
+            break;
+          }
+          const displayName = joinInfo.name;
           const remoteId = crypto.randomUUID();
           ws._remoteId = remoteId;
-          remotes.set(remoteId, { ws, name: displayName });
-          console.log(`Remote joined: ${displayName} (${remoteId})`);
-          // Broadcast new-remote to all studios
-          const payload = JSON.stringify({ type: 'new-remote', id: remoteId, name: displayName });
-          studios.forEach((studioWs) => {
-            if (studioWs.readyState === studioWs.OPEN) {
-              studioWs.send(payload);
-            }
+          ws._room = joinInfo.room;
+          const resumeToken = createResumeToken();
+          remotes.set(remoteId, {
+            ws,
+            name: displayName,
+            room: ws._room,
+            kind,
+            owner: null,
+            resumeToken,
+            resumeTimer: null,
+            fixtureId: null,
           });
+          getRoom(ws._room).remotes.add(remoteId);
+          const label = kind === 'sports' ? 'Sports reporter' : 'Remote';
+          console.log(`${label} joined room "${ws._room}": ${displayName} (${remoteId})`);
+          // Announce new-remote to the room's studios
+          const payload = JSON.stringify({ type: 'new-remote', id: remoteId, name: displayName, kind });
+          sendToRoomStudios(ws._room, payload);
           // Inform remote of assigned ID
-          ws.send(JSON.stringify({ type: 'id-assigned', id: remoteId }));
+          ws.send(
+            JSON.stringify({ type: 'id-assigned', id: remoteId, room: ws._room, resumeToken, resumed: false })
+          );
         }
         break;
 
       case 'ready-for-offer':
         {
-          const targetId = msg.target;
-          const remoteEntry = remotes.get(targetId);
-          if (remoteEntry && remoteEntry.ws.readyState === remoteEntry.ws.OPEN) {
+          // { type:'ready-for-offer', target, takeover? } – the sender becomes the remote's owner
+          const remoteEntry = ws.isStudio ? getRoomRemote(ws, msg.target) : null;
+          if (remoteEntry) {
+            const previousOwner = getOpenOwner(remoteEntry);
+            if (previousOwner && previousOwner !== ws) {
+              if (!msg.takeover) {
+                ws.send(
+                  JSON.stringify({
+                    type: 'remote-busy',
+                    id: msg.target,
+                    ownerId: previousOwner._studioId,
+                    ownerName: previousOwner._studioName,
+                  })
+                );
+                break;
+              }
+              previousOwner.send(
+                JSON.stringify({
+                  type: 'remote-taken-over',
+                  id: msg.target,
+                  byId: ws._studioId,
+                  byName: ws._studioName,
+                })
+              );
+              console.log(`Studio "${ws._studioName}" took over remote ${msg.target} from "${previousOwner._studioName}".`);
+            }
+            setRemoteOwner(msg.target, remoteEntry, ws);
             const startCallMsg = JSON.stringify({ type: 'start-call' });
             remoteEntry.ws.send(startCallMsg);
           }
         }
         break;
 
+      case 'release-remote':
+        {
+          // { type:'release-remote', target } – owning studio hung up
+          const remoteEntry = ws.isStudio ? getRoomRemote(ws, msg.target) : null;
+          if (remoteEntry && remoteEntry.owner === ws) {
+            setRemoteOwner(msg.target, remoteEntry, null);
+            remoteEntry.ws.send(JSON.stringify({ type: 'studio-disconnected' }));
+          }
+        }
+        break;
+
       case 'offer':
         {
-          const fromId = msg.from;
+          // Offers go only to the studio that asked for them
+          const fromId = ws._remoteId;
           const sdp = msg.sdp;
-          const payload = JSON.stringify({ type: 'offer', from: fromId, sdp });
-          studios.forEach((studioWs) => {
-            if (studioWs.readyState === studioWs.OPEN) {
-              studioWs.send(payload);
-            }
-          });
+          const owner = getOpenOwner(remotes.get(fromId));
+          if (owner) {
+            const payload = JSON.stringify({ type: 'offer', from: fromId, sdp });
+            owner.send(payload);
+          } else {
+            console.warn(`Offer from ${fromId} with no owning studio; dropped.`);
+          }
         }
         break;
 
       case 'answer':
         {
-          const targetId = msg.target;
           const sdp = msg.sdp;
-          const remoteEntry = remotes.get(targetId);
-          if (remoteEntry && remoteEntry.ws.readyState === remoteEntry.ws.OPEN) {
+          const remoteEntry = ws.isStudio ? getRoomRemote(ws, msg.target) : null;
+          if (remoteEntry && remoteEntry.owner === ws) {
             const payload = JSON.stringify({ type: 'answer', sdp });
             remoteEntry.ws.send(payload);
           }
@@ -189,21 +3384,19 @@ wss.on('connection', (ws, request) => {
 
       case 'candidate':
         {
-          const fromId = msg.from;
           const target = msg.target;
           const candidate = msg.candidate;
 
           if (target === 'studio') {
-            const payload = JSON.stringify({ type: 'candidate', from: fromId, candidate });
-            studios.forEach((studioWs) => {
-              if (studioWs.readyState === studioWs.OPEN) {
-                studioWs.send(payload);
-              }
-            });
+            const owner = getOpenOwner(remotes.get(ws._remoteId));
+            if (owner) {
+              const payload = JSON.stringify({ type: 'candidate', from: ws._remoteId, candidate });
+              owner.send(payload);
+            }
           } else if (target === 'remote') {
             const targetId = msg.targetId || msg.to;
-            const remoteEntry = remotes.get(targetId);
-            if (remoteEntry && remoteEntry.ws.readyState === remoteEntry.ws.OPEN) {
+            const remoteEntry = ws.isStudio ? getRoomRemote(ws, targetId) : null;
+            if (remoteEntry && remoteEntry.owner === ws) {
               const payload = JSON.stringify({ type: 'candidate', candidate });
               remoteEntry.ws.send(payload);
             }
@@ -213,10 +3406,10 @@ wss.on('connection', (ws, request) => {
 
       case 'mute-remote':
         {
-          const targetId = msg.target;
-          const remoteEntry = remotes.get(targetId);
-          if (remoteEntry && remoteEntry.ws.readyState === remoteEntry.ws.OPEN) {
-            const payload = JSON.stringify({ type: 'mute-update', muted: true });
+          const remoteEntry = ws.isStudio ? getRoomRemote(ws, msg.target) : null;
+          if (remoteEntry) {
+            // Studio sends muted:false to unmute; older studios omit it and mean "mute"
+            const payload = JSON.stringify({ type: 'mute-update', muted: msg.muted !== false });
             remoteEntry.ws.send(payload);
           }
         }
@@ -224,11 +3417,12 @@ wss.on('connection', (ws, request) => {
 
       case 'kick-remote':
         {
-          const targetId = msg.target;
-          const remoteEntry = remotes.get(targetId);
-          if (remoteEntry && remoteEntry.ws.readyState === remoteEntry.ws.OPEN) {
+          const remoteEntry = ws.isStudio ? getRoomRemote(ws, msg.target) : null;
+          if (remoteEntry) {
             const payload = JSON.stringify({ type: 'kick' });
             remoteEntry.ws.send(payload);
+            // A kicked remote may not resume
+            remoteEntry.kicked = true;
             remoteEntry.ws.close();
           }
         }
@@ -236,10 +3430,9 @@ wss.on('connection', (ws, request) => {
 
       case 'mode-update':
         {
-          const targetId = msg.target;
           const mode = msg.mode;
-          const remoteEntry = remotes.get(targetId);
-          if (remoteEntry && remoteEntry.ws.readyState === remoteEntry.ws.OPEN) {
+          const remoteEntry = ws.isStudio ? getRoomRemote(ws, msg.target) : null;
+          if (remoteEntry) {
             const payload = JSON.stringify({ type: 'mode-update', mode });
             remoteEntry.ws.send(payload);
           }
@@ -248,10 +3441,9 @@ wss.on('connection', (ws, request) => {
 
       case 'bitrate-update':
         {
-          const targetId = msg.target;
           const bitrate = msg.bitrate;
-          const remoteEntry = remotes.get(targetId);
-          if (remoteEntry && remoteEntry.ws.readyState === remoteEntry.ws.OPEN) {
+          const remoteEntry = ws.isStudio ? getRoomRemote(ws, msg.target) : null;
+          if (remoteEntry) {
             const payload = JSON.stringify({ type: 'bitrate-update', bitrate });
             remoteEntry.ws.send(payload);
           }
@@ -260,36 +3452,149 @@ wss.on('connection', (ws, request) => {
 
       case 'mute-update':
         {
-          const fromId = msg.from;
-          const muted = msg.muted;
-          const payload = JSON.stringify({ type: 'mute-update', from: fromId, muted });
-          studios.forEach((studioWs) => {
-            if (studioWs.readyState === studioWs.OPEN) {
-              studioWs.send(payload);
-            }
-          });
+          // A contributor reports its own mute state
+          const payload = JSON.stringify({ type: 'mute-update', from: ws._remoteId, muted: msg.muted });
+          sendToRoomStudios(ws._room, payload);
         }
         break;
 
       case 'chat':
         {
+          // The sender's ID and name come from the connection, not the message
           const text = msg.text;
-          const name = msg.name || msg.fromId || 'Unknown';
+          const fromId = ws.isStudio ? ws._studioId : ws._remoteId;
+          const remoteEntry = remotes.get(ws._remoteId);
+          const name = ws.isStudio ? ws._studioName : remoteEntry ? remoteEntry.name : 'Unknown';
+          if (!fromId) break; // not joined yet
           const target = msg.target;
           if (target === 'studio') {
-            const payload = JSON.stringify({ type: 'chat', fromId: msg.fromId, name, text });
-            studios.forEach((studioWs) => {
-              if (studioWs.readyState === studioWs.OPEN) {
-                studioWs.send(payload);
-              }
-            });
+            const payload = JSON.stringify({ type: 'chat', fromId, name, text });
+            sendToRoomStudios(ws._room, payload);
           } else if (target === 'all') {
-            const payload = JSON.stringify({ type: 'chat', fromId: msg.fromId, name, text });
-            remotes.forEach(({ ws: remoteWs }) => {
-              if (remoteWs.readyState === remoteWs.OPEN) {
-                remoteWs.send(payload);
-              }
+            const payload = JSON.stringify({ type: 'chat', fromId, name, text });
+            sendToRoomRemotes(ws._room, payload);
+          }
+        }
+        break;
+
+      case 'fixture-join':
+        {
+          // { type:'fixture-join', teamA, teamB } – attach this reporter to a match,
+          // creating it on first use. Reporters get the current score straight back.
+          const remoteEntry = remotes.get(ws._remoteId);
+          const teamA = msg.teamA.trim();
+          const teamB = msg.teamB.trim();
+          if (!teamA || !teamB) {
+            sendError(ws, 'invalid-field', type, 'Both team names are required');
+            break;
+          }
+          const fixture = findFixture(ws._room, teamA, teamB) || createFixture(ws._room, teamA, teamB);
+          if (remoteEntry.fixtureId !== fixture.id) {
+            detachReporter(remoteEntry, ws._remoteId);
+            remoteEntry.fixtureId = fixture.id;
+            fixture.reporters.add(ws._remoteId);
+          }
+          broadcastFixture(fixture);
+        }
+        break;
+
+      case 'goal':
+      case 'score-correction':
+      case 'full-time':
+        {
+          const remoteEntry = remotes.get(ws._remoteId);
+          const fixture = remoteEntry.fixtureId && fixtures.get(remoteEntry.fixtureId);
+          if (!fixture) {
+            sendError(ws, 'no-fixture', type, 'Join a fixture before reporting on it');
+            break;
+          }
+          if (fixture.status === 'full-time' && type !== 'score-correction') {
+            sendError(ws, 'fixture-finished', type, 'This match has finished; only corrections are allowed');
+            break;
+          }
+
+          if (type === 'goal') {
+            // { type:'goal', team:'A'|'B', scorer?, minute? }
+            if (msg.team === 'A') fixture.scoreA += 1;
+            else fixture.scoreB += 1;
+            const event = addFixtureEvent(fixture, {
+              type: 'goal',
+              team: msg.team,
+              scorer: msg.scorer || null,
+              minute: msg.minute === undefined ? null : msg.minute,
+              by: remoteEntry.name,
+              scoreA: fixture.scoreA,
+              scoreB: fixture.scoreB,
+            });
+            console.log(
+              `Goal from ${remoteEntry.name} in room "${ws._room}": ` +
+                `${fixture.teamA} ${fixture.scoreA}-${fixture.scoreB} ${fixture.teamB}`
+            );
+            // Studios get a goal alert with a goalId to quote in `goal-ack`
+            sendToRoomStudios(
+              ws._room,
+              JSON.stringify({
+                type: 'goal',
+                goalId: event.id,
+                from: ws._remoteId,
+                name: remoteEntry.name,
+                fixtureId: fixture.id,
+                team: event.team,
+                scorer: event.scorer,
+                minute: event.minute,
+                teamA: fixture.teamA,
+                teamB: fixture.teamB,
+                scoreA: fixture.scoreA,
+                scoreB: fixture.scoreB,
+                at: event.at,
+              })
+            );
+          } else if (type === 'score-correction') {
+            // { type:'score-correction', scoreA, scoreB, note? }
+            const previous = { scoreA: fixture.scoreA, scoreB: fixture.scoreB };
+            fixture.scoreA = msg.scoreA;
+            fixture.scoreB = msg.scoreB;
+            addFixtureEvent(fixture, {
+              type: 'correction',
+              scoreA: msg.scoreA,
+              scoreB: msg.scoreB,
+              previous,
+              note: msg.note || null,
+              by: remoteEntry.name,
             });
+            console.log(
+              `Score corrected by ${remoteEntry.name} in fixture ${fixture.id}: ` +
+                `${previous.scoreA}-${previous.scoreB} → ${msg.scoreA}-${msg.scoreB}`
+            );
+          } else {
+            // { type:'full-time' }
+            fixture.status = 'full-time';
+            addFixtureEvent(fixture, {
+              type: 'full-time',
+              by: remoteEntry.name,
+              scoreA: fixture.scoreA,
+              scoreB: fixture.scoreB,
+            });
+            console.log(
+              `Full time in fixture ${fixture.id}: ` +
+                `${fixture.teamA} ${fixture.scoreA}-${fixture.scoreB} ${fixture.teamB}`
+            );
+          }
+          broadcastFixture(fixture);
+        }
+        break;
+
+      case 'goal-ack':
+        {
+          // { type:'goal-ack', target, goalId } – a studio has seen the goal
+          const remoteEntry = getRoomRemote(ws, msg.target);
+          if (remoteEntry && remoteEntry.kind === 'sports') {
+            remoteEntry.ws.send(JSON.stringify({ type: 'goal-ack', goalId: msg.goalId, by: ws._studioName }));
+            // Let the room's other studios clear the same alert
+            sendToRoomStudios(
+              ws._room,
+              JSON.stringify({ type: 'goal-acked', id: msg.target, goalId: msg.goalId, by: ws._studioName })
+            );
           }
         }
         break;
@@ -299,25 +3604,37 @@ wss.on('connection', (ws, request) => {
         break;
 
       default:
-        console.warn('Unknown message type:', type);
+        // Unreachable: validateMessage() rejects types without a schema
         break;
     }
   });
 
-  ws.on('close', () => {
+  ws.on('close', (code) => {
     if (ws.isStudio) {
-      studios.delete(ws);
-      console.log('Studio disconnected. Remaining studios:', studios.size);
+      // Closed on purpose (logout, page closed or reloaded): release its calls now.
+      // Otherwise keep them while the studio may still resume.
+      const lost = code !== 1000 && code !== 1001;
+      leaveRoom(ws, lost);
+      if (lost) {
+        const studioId = ws._studioId;
+        departedStudios.set(studioId, { ws, timer: setTimeout(() => releaseDepartedStudio(studioId), RESUME_GRACE_MS) });
+        console.log(`Studio ${studioId} lost its connection; holding its calls for ${RESUME_GRACE_MS / 1000}s.`);
+      } else {
+        console.log(`Studio left room "${ws._room}".`);
+      }
     } else if (ws._remoteId) {
       const rid = ws._remoteId;
-      remotes.delete(rid);
-      console.log(`Remote ${rid} disconnected.`);
-      const payload = JSON.stringify({ type: 'remote-disconnected', id: rid });
-      studios.forEach((studioWs) => {
-        if (studioWs.readyState === studioWs.OPEN) {
-          studioWs.send(payload);
-        }
-      });
+      const remoteEntry = remotes.get(rid);
+      // Ignore the old socket of a remote that has already resumed on a new one
+      if (!remoteEntry || remoteEntry.ws !== ws) return;
+      if (remoteEntry.kicked) {
+        dropRemote(rid);
+        return;
+      }
+      // Keep the card (and any call) while the remote may still resume
+      console.log(`Remote ${rid} lost its connection; holding for ${RESUME_GRACE_MS / 1000}s.`);
+      remoteEntry.resumeTimer = setTimeout(() => dropRemote(rid), RESUME_GRACE_MS);
+      sendToRoomStudios(ws._room, JSON.stringify({ type: 'remote-reconnecting', id: rid }));
     }
     // On close, there’s no need to explicitly stop keepalive here,
     // because when we call ws.close() on the client side, they already
@@ -330,7 +3647,7 @@ wss.on('connection', (ws, request) => {
   });
 });
 
-// === 4) START SERVER ===
+// === 15) START SERVER ===
 
 server.listen(PORT, () => {
   console.log(`Server listening on port ${PORT}`);